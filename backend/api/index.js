@@ -60,8 +60,11 @@ app.get('/health', (req, res) => {
       node_env: process.env.NODE_ENV,
       db_hostname: hostname, // Show which hostname is being used
       db_configured: !!process.env.POSTGRES_URL,
-      groq_configured: !!process.env.GROQ_API_KEY
-    }
+      groq_configured: !!process.env.GROQ_API_KEY,
+      llm_provider: process.env.LLM_PROVIDER || 'groq'
+    },
+    // Schema validation outcomes per response kind, for this instance since it started
+    structuredOutput: groqService.structuredOutput.getMetrics()
   });
 });
 
@@ -204,16 +207,44 @@ app.get('/auth/profile', authenticateToken, async (req, res) => {
 
 // Tab Analysis endpoint
 const GroqService = require('../services/groq');
-const groqService = new GroqService();
+const SummaryCache = require('../services/cache');
+const groqService = new GroqService({ cache: dbUrl ? new SummaryCache(pool) : null });
+const PriorityRubric = require('../services/rubric');
+const priorityRubric = new PriorityRubric();
+const EventStream = require('../services/event-stream');
+// New-tab classifications are small, so several of them share one usage unit
+const classificationsPerUnit = parseInt(process.env.CLASSIFICATIONS_PER_USAGE_UNIT) || 10;
+const AnalysisJobService = require('../services/jobs');
+const jobService = new AnalysisJobService(dbUrl ? pool : null, groqService, {
+  onComplete: async (job, results, client) => {
+    const updated = await client.query(
+      'UPDATE users SET usagethismonth = usagethismonth + 1 WHERE id = $1 RETURNING usagethismonth, usagelimit',
+      [job.user_id]
+    );
+    await client.query(
+      'INSERT INTO usage_logs (user_id, action, tabs_count, cache_hits) VALUES ($1, $2, $3, $4)',
+      [job.user_id, 'analyze-job', job.tabs_total, results.cacheHits]
+    );
+    const user = updated.rows[0] || {};
+    return { current: user.usagethismonth || 0, limit: user.usagelimit || 25 };
+  }
+});
 
-app.post('/api/analyze', authenticateToken, async (req, res) => {
+// Shared by /api/analyze (one JSON response) and /api/analyze/stream (Server-Sent Events:
+// a `summary` event per finished tab, `clustering`, then `result` or `error`)
+const analyzeHandler = ({ stream = false } = {}) => async (req, res) => {
+  let events = null;
   try {
-    const { tabs } = req.body;
+    const { tabs, previousSummaries = [], constraints = null, preferences = null } = req.body;
     
     if (!tabs || !Array.isArray(tabs) || tabs.length === 0) {
       return res.status(400).json({ error: 'No tabs provided' });
     }
 
+    if (!Array.isArray(previousSummaries)) {
+      return res.status(400).json({ error: 'Invalid previousSummaries data' });
+    }
+
     // Check usage limit
     const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
     if (userResult.rows.length === 0) {
@@ -231,8 +262,17 @@ app.post('/api/analyze', authenticateToken, async (req, res) => {
       });
     }
 
+    // Validation errors above are plain JSON; from here on a stream reports through events
+    const options = { plan: user.plan, constraints, preferences, rubric: user.priorityrubric };
+    if (stream) {
+      events = new EventStream(res);
+      options.onProgress = ({ stage, current, total, summary }) => {
+        events.send(stage, stage === 'summary' ? { current, total, summary } : { current, total });
+      };
+    }
+
     // Analyze tabs with Groq
-    const results = await groqService.analyzeTabs(tabs);
+    const results = await groqService.analyzeTabs(tabs, previousSummaries, options);
 
     // Update usage count
     await pool.query(
@@ -242,20 +282,270 @@ app.post('/api/analyze', authenticateToken, async (req, res) => {
 
     // Log usage
     await pool.query(
-      'INSERT INTO usage_logs (user_id, action, tabs_count) VALUES ($1, $2, $3)',
-      [req.user.userId, 'analyze', tabs.length]
+      'INSERT INTO usage_logs (user_id, action, tabs_count, cache_hits) VALUES ($1, $2, $3, $4)',
+      [req.user.userId, 'analyze', tabs.length, results.cacheHits]
     );
 
-    res.json({
+    const body = {
       results,
       usage: {
         current: usageThisMonth + 1,
         limit: usageLimit
       }
-    });
+    };
+
+    if (events) {
+      events.send('result', body);
+      events.end();
+    } else {
+      res.json(body);
+    }
   } catch (error) {
     console.error('Analysis error:', error);
-    res.status(500).json({ error: 'Analysis failed: ' + error.message });
+    if (events) {
+      events.send('error', { error: 'Analysis failed: ' + error.message });
+      events.end();
+    } else {
+      res.status(500).json({ error: 'Analysis failed: ' + error.message });
+    }
+  }
+};
+
+app.post('/api/analyze', authenticateToken, analyzeHandler());
+app.post('/api/analyze/stream', authenticateToken, analyzeHandler({ stream: true }));
+
+// Asynchronous analysis jobs for large tab sets: POST returns a job id right away and
+// every status request advances the job by one batch, so no single request runs long
+app.post('/api/jobs', authenticateToken, async (req, res) => {
+  try {
+    const { tabs, previousSummaries = [], constraints = null, preferences = null } = req.body;
+
+    if (!tabs || !Array.isArray(tabs) || tabs.length === 0) {
+      return res.status(400).json({ error: 'No tabs provided' });
+    }
+
+    if (!Array.isArray(previousSummaries)) {
+      return res.status(400).json({ error: 'Invalid previousSummaries data' });
+    }
+
+    const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = userResult.rows[0];
+    const usageThisMonth = user.usagethismonth || 0;
+    const usageLimit = user.usagelimit || 25;
+
+    if (usageLimit !== -1 && usageThisMonth >= usageLimit) {
+      return res.status(429).json({ 
+        error: 'Monthly usage limit reached',
+        usage: { current: usageThisMonth, limit: usageLimit }
+      });
+    }
+
+    // The rubric is captured at submission so edits mid-job don't mix scoring schemes
+    const job = await jobService.create(user, {
+      tabs, previousSummaries, constraints, preferences, rubric: user.priorityrubric
+    });
+    res.status(202).json({ job: jobService.present(job) });
+  } catch (error) {
+    if (error.status === 429) {
+      return res.status(429).json({ error: error.message, limit: error.limit });
+    }
+    console.error('Job creation error:', error);
+    res.status(500).json({ error: 'Failed to create analysis job' });
+  }
+});
+
+app.get('/api/jobs', authenticateToken, async (req, res) => {
+  try {
+    const jobs = await jobService.list(req.user.userId);
+    res.json({ jobs: jobs.map(job => jobService.present(job)) });
+  } catch (error) {
+    console.error('Job list error:', error);
+    res.status(500).json({ error: 'Failed to list analysis jobs' });
+  }
+});
+
+app.get('/api/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await jobService.step(req.params.id, req.user.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job: jobService.present(job) });
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(500).json({ error: 'Failed to get analysis job' });
+  }
+});
+
+// Summaries finished so far while running; the /api/analyze body once completed
+app.get('/api/jobs/:id/results', authenticateToken, async (req, res) => {
+  try {
+    const job = await jobService.get(req.params.id, req.user.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(jobService.results(job));
+  } catch (error) {
+    console.error('Job results error:', error);
+    res.status(500).json({ error: 'Failed to get analysis job results' });
+  }
+});
+
+// Subscribe instead of polling: drives the job and sends a `status` event per batch,
+// then `result`. Clients reconnect (or fall back to polling) if the platform cuts it off
+app.get('/api/jobs/:id/events', authenticateToken, async (req, res) => {
+  let events = null;
+  try {
+    let job = await jobService.get(req.params.id, req.user.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    events = new EventStream(res);
+    while (!jobService.isFinished(job) && !events.closed) {
+      job = await jobService.step(job.id, req.user.userId);
+      events.send('status', jobService.present(job));
+      await jobService.waitForLease(job);
+    }
+    events.send('result', jobService.results(job));
+    events.end();
+  } catch (error) {
+    console.error('Job events error:', error);
+    if (events) {
+      events.send('error', { error: 'Failed to follow analysis job' });
+      events.end();
+    } else {
+      res.status(500).json({ error: 'Failed to follow analysis job' });
+    }
+  }
+});
+
+app.delete('/api/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await jobService.cancel(req.params.id, req.user.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job: jobService.present(job) });
+  } catch (error) {
+    console.error('Job cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel analysis job' });
+  }
+});
+
+// Classify one new tab into the client's existing clusters (no full re-clustering)
+app.post('/api/classify', authenticateToken, async (req, res) => {
+  try {
+    const { tab, clusters = [], preferences = null } = req.body;
+
+    if (!tab || typeof tab !== 'object' || typeof tab.url !== 'string') {
+      return res.status(400).json({ error: 'No tab provided' });
+    }
+
+    if (!Array.isArray(clusters)) {
+      return res.status(400).json({ error: 'Invalid clusters data' });
+    }
+
+    const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = userResult.rows[0];
+    const usageThisMonth = user.usagethismonth || 0;
+    const usageLimit = user.usagelimit || 25;
+
+    if (usageLimit !== -1 && usageThisMonth >= usageLimit) {
+      return res.status(429).json({ 
+        error: 'Monthly usage limit reached',
+        usage: { current: usageThisMonth, limit: usageLimit }
+      });
+    }
+
+    const result = await groqService.classifyTab(tab, clusters, { plan: user.plan, preferences, rubric: user.priorityrubric });
+
+    // Counted separately; every classificationsPerUnit-th one charges a usage unit
+    const updated = await pool.query(
+      `UPDATE users
+       SET classificationsthismonth = COALESCE(classificationsthismonth, 0) + 1,
+           usagethismonth = usagethismonth +
+             CASE WHEN (COALESCE(classificationsthismonth, 0) + 1) % $2 = 0 THEN 1 ELSE 0 END
+       WHERE id = $1
+       RETURNING usagethismonth, classificationsthismonth`,
+      [req.user.userId, classificationsPerUnit]
+    );
+    const counts = updated.rows[0] || {};
+
+    await pool.query(
+      'INSERT INTO usage_logs (user_id, action, tabs_count, cache_hits) VALUES ($1, $2, $3, $4)',
+      [req.user.userId, 'classify', 1, result.cacheHits]
+    );
+
+    res.json({
+      result,
+      usage: {
+        current: counts.usagethismonth ?? usageThisMonth,
+        limit: usageLimit,
+        classifications: counts.classificationsthismonth || 0,
+        classificationsPerUnit
+      }
+    });
+  } catch (error) {
+    console.error('Classification error:', error);
+    res.status(500).json({ error: 'Classification failed: ' + error.message });
+  }
+});
+
+// Priority rubric stored in the user profile (NULL = built-in learning/utility rubric)
+app.get('/api/rubric', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT priorityrubric FROM users WHERE id = $1', [req.user.userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const stored = result.rows[0].priorityrubric;
+    res.json({ rubric: priorityRubric.resolve(stored), isDefault: !stored });
+  } catch (error) {
+    console.error('Rubric error:', error);
+    res.status(500).json({ error: 'Failed to get rubric' });
+  }
+});
+
+app.put('/api/rubric', authenticateToken, async (req, res) => {
+  let rubric;
+  try {
+    rubric = priorityRubric.sanitize(req.body.rubric);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await pool.query(
+      'UPDATE users SET priorityrubric = $1, updatedat = CURRENT_TIMESTAMP WHERE id = $2',
+      [JSON.stringify(rubric), req.user.userId]
+    );
+    res.json({ rubric, isDefault: false });
+  } catch (error) {
+    console.error('Rubric update error:', error);
+    res.status(500).json({ error: 'Failed to save rubric' });
+  }
+});
+
+app.delete('/api/rubric', authenticateToken, async (req, res) => {
+  try {
+    await pool.query(
+      'UPDATE users SET priorityrubric = NULL, updatedat = CURRENT_TIMESTAMP WHERE id = $1',
+      [req.user.userId]
+    );
+    res.json({ rubric: priorityRubric.defaults(), isDefault: true });
+  } catch (error) {
+    console.error('Rubric reset error:', error);
+    res.status(500).json({ error: 'Failed to reset rubric' });
   }
 });
 
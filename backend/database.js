@@ -45,6 +45,9 @@ class Database {
         )
       `);
 
+      await this.pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS priorityRubric JSONB`);
+      await this.pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS classificationsThisMonth INTEGER DEFAULT 0`);
+
       // Usage logs table
       await this.pool.query(`
         CREATE TABLE IF NOT EXISTS usage_logs (
@@ -52,10 +55,50 @@ class Database {
           userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
           operation TEXT NOT NULL,
           tabCount INTEGER DEFAULT 1,
+          cacheHits INTEGER DEFAULT 0,
           timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )
       `);
 
+      await this.pool.query(`ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS cacheHits INTEGER DEFAULT 0`);
+
+      // Summary cache table (shared across users, keyed by URL + content hash)
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS summary_cache (
+          id SERIAL PRIMARY KEY,
+          url TEXT NOT NULL,
+          content_hash TEXT NOT NULL,
+          summary JSONB NOT NULL,
+          hit_count INTEGER DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_accessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          UNIQUE (url, content_hash)
+        )
+      `);
+
+      // Analysis jobs table (asynchronous analysis of large tab sets)
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS analysis_jobs (
+          id TEXT PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          plan TEXT DEFAULT 'free',
+          status TEXT NOT NULL DEFAULT 'queued',
+          request JSONB,
+          summaries JSONB NOT NULL DEFAULT '[]',
+          result JSONB,
+          error TEXT,
+          tabs_total INTEGER NOT NULL,
+          tabs_done INTEGER DEFAULT 0,
+          lease_until TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          completed_at TIMESTAMP
+        )
+      `);
+
+      await this.pool.query(`ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS stats JSONB NOT NULL DEFAULT '{}'`);
+
       console.log('Database initialized successfully with Supabase');
     } catch (error) {
       console.error('Database initialization error:', error.message);
@@ -128,9 +171,10 @@ class Database {
     }
   }
 
-  async incrementUsage(userId, count = 1) {
+  // `client` lets callers charge inside their own transaction
+  async incrementUsage(userId, count = 1, client = this.pool) {
     try {
-      const result = await this.pool.query(
+      const result = await client.query(
         `UPDATE users 
          SET usageThisMonth = usageThisMonth + $1 
          WHERE id = $2
@@ -144,16 +188,35 @@ class Database {
     }
   }
 
+  // New-tab classifications have their own counter; every `perUnit`-th one costs a usage unit
+  async recordClassification(userId, perUnit) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE users
+         SET classificationsThisMonth = COALESCE(classificationsThisMonth, 0) + 1,
+             usageThisMonth = usageThisMonth +
+               CASE WHEN (COALESCE(classificationsThisMonth, 0) + 1) % $2 = 0 THEN 1 ELSE 0 END
+         WHERE id = $1
+         RETURNING usageThisMonth, classificationsThisMonth`,
+        [userId, perUnit]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to record classification: ${error.message}`);
+    }
+  }
+
   // Usage logging
-  async logUsage(logData) {
+  async logUsage(logData, client = this.pool) {
     try {
-      const { userId, operation, tabCount, timestamp } = logData;
+      const { userId, operation, tabCount, cacheHits = 0, timestamp } = logData;
       
-      const result = await this.pool.query(
-        `INSERT INTO usage_logs (userId, operation, tabCount, timestamp)
-         VALUES ($1, $2, $3, $4)
+      const result = await client.query(
+        `INSERT INTO usage_logs (userId, operation, tabCount, cacheHits, timestamp)
+         VALUES ($1, $2, $3, $4, $5)
          RETURNING id`,
-        [userId, operation, tabCount, timestamp]
+        [userId, operation, tabCount, cacheHits, timestamp]
       );
       
       return result.rows[0];
@@ -225,7 +288,7 @@ class Database {
     try {
       await this.pool.query(
         `UPDATE users 
-         SET usageThisMonth = 0 
+         SET usageThisMonth = 0, classificationsThisMonth = 0
          WHERE plan = 'free' 
            AND DATE_TRUNC('month', updatedAt) < DATE_TRUNC('month', CURRENT_TIMESTAMP)`
       );
@@ -242,6 +305,5 @@ class Database {
     }
   }
 }
-}
 
 module.exports = Database;
\ No newline at end of file
@@ -13,6 +13,12 @@ CREATE TABLE IF NOT EXISTS users (
   updatedat TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Per-user priority rubric (NULL = built-in learning/utility rubric)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS priorityrubric JSONB;
+
+-- New-tab classifications, counted apart from analyses (several share one usage unit)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS classificationsthismonth INTEGER DEFAULT 0;
+
 -- Create usage_logs table
 CREATE TABLE IF NOT EXISTS usage_logs (
   id SERIAL PRIMARY KEY,
@@ -22,7 +28,48 @@ CREATE TABLE IF NOT EXISTS usage_logs (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Track how many summaries in a request were served from the cache
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS cache_hits INTEGER DEFAULT 0;
+
+-- Create summary_cache table (shared across users, keyed by URL + content hash)
+CREATE TABLE IF NOT EXISTS summary_cache (
+  id SERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  summary JSONB NOT NULL,
+  hit_count INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_accessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  UNIQUE (url, content_hash)
+);
+
+-- Create analysis_jobs table (asynchronous analysis of large tab sets; request is
+-- cleared once a job finishes so tab contents aren't kept)
+CREATE TABLE IF NOT EXISTS analysis_jobs (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  plan TEXT DEFAULT 'free',
+  status TEXT NOT NULL DEFAULT 'queued',
+  request JSONB,
+  summaries JSONB NOT NULL DEFAULT '[]',
+  result JSONB,
+  error TEXT,
+  tabs_total INTEGER NOT NULL,
+  tabs_done INTEGER DEFAULT 0,
+  lease_until TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+-- LLM retry/rate-limit counters accumulated across a job's batches
+ALTER TABLE analysis_jobs ADD COLUMN IF NOT EXISTS stats JSONB NOT NULL DEFAULT '{}';
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_usage_logs_user_id ON usage_logs(user_id);
 CREATE INDEX IF NOT EXISTS idx_usage_logs_created_at ON usage_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_summary_cache_expires_at ON summary_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_summary_cache_last_accessed_at ON summary_cache(last_accessed_at);
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_user_status ON analysis_jobs(user_id, status);
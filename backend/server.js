@@ -7,17 +7,37 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const Database = require('./database');
 const GroqService = require('./services/groq');
+const SummaryCache = require('./services/cache');
+const PriorityRubric = require('./services/rubric');
+const EventStream = require('./services/event-stream');
+const AnalysisJobService = require('./services/jobs');
 const StripeService = require('./services/stripe');
 const RateLimiter = require('./middleware/rateLimit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// New-tab classifications are small, so several of them share one usage unit
+const classificationsPerUnit = parseInt(process.env.CLASSIFICATIONS_PER_USAGE_UNIT) || 10;
 
 // Initialize services
 const db = new Database();
-const groqService = new GroqService();
+const groqService = new GroqService({ cache: new SummaryCache(db.pool) });
 const stripeService = new StripeService();
+const priorityRubric = new PriorityRubric();
 const rateLimiter = new RateLimiter();
+const jobService = new AnalysisJobService(db.pool, groqService, {
+  onComplete: async (job, results, client) => {
+    const updated = await db.incrementUsage(job.user_id, job.tabs_total, client);
+    await db.logUsage({
+      userId: job.user_id,
+      operation: 'analyze-job',
+      tabCount: job.tabs_total,
+      cacheHits: results.cacheHits,
+      timestamp: new Date()
+    }, client);
+    return { current: updated.usagethismonth, limit: updated.usagelimit };
+  }
+});
 
 // Initialize database tables (non-blocking)
 db.init().catch(err => {
@@ -55,7 +75,12 @@ const authenticateToken = (req, res, next) => {
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    // Schema validation outcomes per response kind since startup
+    structuredOutput: groqService.structuredOutput.getMetrics()
+  });
 });
 
 // User Registration
@@ -191,18 +216,21 @@ app.get('/auth/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// AI Tab Analysis (Protected Route)
-app.post('/api/analyze', 
-  authenticateToken,
-  rateLimiter.createLimiter({ windowMs: 15 * 60 * 1000, max: 10 }), // 10 requests per 15 minutes
-  async (req, res) => {
+// AI Tab Analysis, shared by /api/analyze (one JSON response) and /api/analyze/stream
+// (Server-Sent Events: a `summary` event per finished tab, `clustering`, then `result` or `error`)
+const analyzeHandler = ({ stream = false } = {}) => async (req, res) => {
+  let events = null;
   try {
-    const { tabs } = req.body;
+    const { tabs, previousSummaries = [], constraints = null, preferences = null } = req.body;
     
     if (!tabs || !Array.isArray(tabs)) {
       return res.status(400).json({ error: 'Invalid tabs data' });
     }
 
+    if (!Array.isArray(previousSummaries)) {
+      return res.status(400).json({ error: 'Invalid previousSummaries data' });
+    }
+
     // Check usage limits
     const user = await db.getUserById(req.user.userId);
     if (user.usageThisMonth >= user.usageLimit) {
@@ -214,8 +242,17 @@ app.post('/api/analyze',
       });
     }
 
+    // Validation errors above are plain JSON; from here on a stream reports through events
+    const options = { plan: user.plan, constraints, preferences, rubric: user.priorityrubric };
+    if (stream) {
+      events = new EventStream(res);
+      options.onProgress = ({ stage, current, total, summary }) => {
+        events.send(stage, stage === 'summary' ? { current, total, summary } : { current, total });
+      };
+    }
+
     // Process tabs with Groq AI
-    const results = await groqService.analyzeTabs(tabs);
+    const results = await groqService.analyzeTabs(tabs, previousSummaries, options);
     
     // Update usage
     await db.incrementUsage(req.user.userId, tabs.length);
@@ -225,19 +262,253 @@ app.post('/api/analyze',
       userId: req.user.userId,
       operation: 'analyze',
       tabCount: tabs.length,
+      cacheHits: results.cacheHits,
       timestamp: new Date()
     });
 
-    res.json({
+    const body = {
       results,
       usage: {
         current: user.usageThisMonth + tabs.length,
         limit: user.usageLimit
       }
-    });
+    };
+
+    if (events) {
+      events.send('result', body);
+      events.end();
+    } else {
+      res.json(body);
+    }
   } catch (error) {
     console.error('Analysis error:', error);
-    res.status(500).json({ error: 'Analysis failed' });
+    if (events) {
+      events.send('error', { error: 'Analysis failed' });
+      events.end();
+    } else {
+      res.status(500).json({ error: 'Analysis failed' });
+    }
+  }
+};
+
+// Both variants share one budget: 10 requests per 15 minutes
+const analyzeLimiter = rateLimiter.createLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+app.post('/api/analyze', authenticateToken, analyzeLimiter, analyzeHandler());
+app.post('/api/analyze/stream', authenticateToken, analyzeLimiter, analyzeHandler({ stream: true }));
+
+// Asynchronous analysis jobs for large tab sets (Protected Routes). This process keeps
+// running, so it drives each job to completion itself; status requests only read
+app.post('/api/jobs', authenticateToken, analyzeLimiter, async (req, res) => {
+  try {
+    const { tabs, previousSummaries = [], constraints = null, preferences = null } = req.body;
+
+    if (!tabs || !Array.isArray(tabs) || tabs.length === 0) {
+      return res.status(400).json({ error: 'Invalid tabs data' });
+    }
+
+    if (!Array.isArray(previousSummaries)) {
+      return res.status(400).json({ error: 'Invalid previousSummaries data' });
+    }
+
+    const user = await db.getUserById(req.user.userId);
+    if (user.usageThisMonth >= user.usageLimit) {
+      return res.status(429).json({ 
+        error: 'Monthly usage limit reached',
+        usage: user.usageThisMonth,
+        limit: user.usageLimit,
+        upgradeUrl: `${process.env.FRONTEND_URL}/upgrade`
+      });
+    }
+
+    // The rubric is captured at submission so edits mid-job don't mix scoring schemes
+    const job = await jobService.create(user, {
+      tabs, previousSummaries, constraints, preferences, rubric: user.priorityrubric
+    });
+    jobService.run(job.id, user.id).catch(error => {
+      console.error(`Analysis job ${job.id} stopped:`, error);
+    });
+
+    res.status(202).json({ job: jobService.present(job) });
+  } catch (error) {
+    if (error.status === 429) {
+      return res.status(429).json({ error: error.message, limit: error.limit });
+    }
+    console.error('Job creation error:', error);
+    res.status(500).json({ error: 'Failed to create analysis job' });
+  }
+});
+
+app.get('/api/jobs', authenticateToken, async (req, res) => {
+  try {
+    const jobs = await jobService.list(req.user.userId);
+    res.json({ jobs: jobs.map(job => jobService.present(job)) });
+  } catch (error) {
+    console.error('Job list error:', error);
+    res.status(500).json({ error: 'Failed to list analysis jobs' });
+  }
+});
+
+app.get('/api/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    // Stepping is a no-op while run() holds the lease, and resumes a job after a restart
+    const job = await jobService.step(req.params.id, req.user.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job: jobService.present(job) });
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(500).json({ error: 'Failed to get analysis job' });
+  }
+});
+
+// Summaries finished so far while running; the /api/analyze body once completed
+app.get('/api/jobs/:id/results', authenticateToken, async (req, res) => {
+  try {
+    const job = await jobService.get(req.params.id, req.user.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(jobService.results(job));
+  } catch (error) {
+    console.error('Job results error:', error);
+    res.status(500).json({ error: 'Failed to get analysis job results' });
+  }
+});
+
+// Subscribe instead of polling: a `status` event per batch, then `result`
+app.get('/api/jobs/:id/events', authenticateToken, async (req, res) => {
+  let events = null;
+  try {
+    let job = await jobService.get(req.params.id, req.user.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    events = new EventStream(res);
+    while (!jobService.isFinished(job) && !events.closed) {
+      job = await jobService.step(job.id, req.user.userId);
+      events.send('status', jobService.present(job));
+      await jobService.waitForLease(job);
+    }
+    events.send('result', jobService.results(job));
+    events.end();
+  } catch (error) {
+    console.error('Job events error:', error);
+    if (events) {
+      events.send('error', { error: 'Failed to follow analysis job' });
+      events.end();
+    } else {
+      res.status(500).json({ error: 'Failed to follow analysis job' });
+    }
+  }
+});
+
+app.delete('/api/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await jobService.cancel(req.params.id, req.user.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job: jobService.present(job) });
+  } catch (error) {
+    console.error('Job cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel analysis job' });
+  }
+});
+
+// Classify one new tab into the client's existing clusters (Protected Route)
+app.post('/api/classify',
+  authenticateToken,
+  rateLimiter.createLimiter({ windowMs: 15 * 60 * 1000, max: 60 }), // single tabs arrive more often
+  async (req, res) => {
+  try {
+    const { tab, clusters = [], preferences = null } = req.body;
+
+    if (!tab || typeof tab !== 'object' || typeof tab.url !== 'string') {
+      return res.status(400).json({ error: 'Invalid tab data' });
+    }
+
+    if (!Array.isArray(clusters)) {
+      return res.status(400).json({ error: 'Invalid clusters data' });
+    }
+
+    const user = await db.getUserById(req.user.userId);
+    if (user.usageThisMonth >= user.usageLimit) {
+      return res.status(429).json({ 
+        error: 'Monthly usage limit reached',
+        usage: user.usageThisMonth,
+        limit: user.usageLimit,
+        upgradeUrl: `${process.env.FRONTEND_URL}/upgrade`
+      });
+    }
+
+    const result = await groqService.classifyTab(tab, clusters, { plan: user.plan, preferences, rubric: user.priorityrubric });
+
+    const counts = await db.recordClassification(req.user.userId, classificationsPerUnit);
+
+    await db.logUsage({
+      userId: req.user.userId,
+      operation: 'classify',
+      tabCount: 1,
+      cacheHits: result.cacheHits,
+      timestamp: new Date()
+    });
+
+    res.json({
+      result,
+      usage: {
+        current: counts.usagethismonth,
+        limit: user.usageLimit,
+        classifications: counts.classificationsthismonth,
+        classificationsPerUnit
+      }
+    });
+  } catch (error) {
+    console.error('Classification error:', error);
+    res.status(500).json({ error: 'Classification failed' });
+  }
+});
+
+// Priority rubric stored in the user profile (NULL = built-in learning/utility rubric)
+app.get('/api/rubric', authenticateToken, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ rubric: priorityRubric.resolve(user.priorityrubric), isDefault: !user.priorityrubric });
+  } catch (error) {
+    console.error('Rubric error:', error);
+    res.status(500).json({ error: 'Failed to get rubric' });
+  }
+});
+
+app.put('/api/rubric', authenticateToken, async (req, res) => {
+  let rubric;
+  try {
+    rubric = priorityRubric.sanitize(req.body.rubric);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await db.updateUser(req.user.userId, { priorityRubric: JSON.stringify(rubric) });
+    res.json({ rubric, isDefault: false });
+  } catch (error) {
+    console.error('Rubric update error:', error);
+    res.status(500).json({ error: 'Failed to save rubric' });
+  }
+});
+
+app.delete('/api/rubric', authenticateToken, async (req, res) => {
+  try {
+    await db.updateUser(req.user.userId, { priorityRubric: null });
+    res.json({ rubric: priorityRubric.defaults(), isDefault: true });
+  } catch (error) {
+    console.error('Rubric reset error:', error);
+    res.status(500).json({ error: 'Failed to reset rubric' });
   }
 });
 
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+class SummaryCache {
+  constructor(pool) {
+    // Shares the app's Postgres pool; without one the cache is simply disabled
+    this.pool = pool || null;
+    this.ttlSeconds = (parseInt(process.env.SUMMARY_CACHE_TTL_HOURS) || 168) * 3600;
+    this.maxEntries = parseInt(process.env.SUMMARY_CACHE_MAX_ENTRIES) || 50000;
+    this.evictEvery = 100; // Run eviction once per this many writes
+    this.writesSinceEviction = 0;
+  }
+
+  get enabled() {
+    return !!this.pool;
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  async get(url, contentHash) {
+    if (!this.enabled) return null;
+
+    try {
+      const result = await this.pool.query(
+        `UPDATE summary_cache
+         SET hit_count = hit_count + 1, last_accessed_at = CURRENT_TIMESTAMP
+         WHERE url = $1 AND content_hash = $2 AND expires_at > CURRENT_TIMESTAMP
+         RETURNING summary`,
+        [url, contentHash]
+      );
+
+      return result.rows[0]?.summary || null;
+    } catch (error) {
+      console.error('Summary cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  async set(url, contentHash, summary) {
+    if (!this.enabled) return;
+
+    try {
+      await this.pool.query(
+        `INSERT INTO summary_cache (url, content_hash, summary, expires_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(secs => $4))
+         ON CONFLICT (url, content_hash) DO UPDATE
+         SET summary = EXCLUDED.summary,
+             expires_at = EXCLUDED.expires_at,
+             last_accessed_at = CURRENT_TIMESTAMP`,
+        [url, contentHash, JSON.stringify(summary), this.ttlSeconds]
+      );
+
+      if (++this.writesSinceEviction >= this.evictEvery) {
+        this.writesSinceEviction = 0;
+        await this.evict();
+      }
+    } catch (error) {
+      console.error('Summary cache write failed:', error.message);
+    }
+  }
+
+  async evict() {
+    if (!this.enabled) return;
+
+    try {
+      // Drop expired entries, then trim least recently used ones above the cap
+      await this.pool.query('DELETE FROM summary_cache WHERE expires_at <= CURRENT_TIMESTAMP');
+      await this.pool.query(
+        `DELETE FROM summary_cache
+         WHERE id IN (
+           SELECT id FROM summary_cache
+           ORDER BY last_accessed_at DESC
+           OFFSET $1
+         )`,
+        [this.maxEntries]
+      );
+    } catch (error) {
+      console.error('Summary cache eviction failed:', error.message);
+    }
+  }
+}
+
+module.exports = SummaryCache;
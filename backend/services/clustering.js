@@ -0,0 +1,287 @@
+// Offline clustering: TF-IDF vectors + average-linkage agglomerative clustering.
+// Also loaded as-is by the extension (manifest.json, sidebar and options pages) for
+// private mode, so it stays free of Node APIs and only exports when there is a module.
+class TabClusterer {
+  constructor(options = {}) {
+    this.minClusters = options.minClusters || 2;
+    this.maxClusters = options.maxClusters || 8;
+
+    // How much each field counts towards a tab's term frequencies
+    this.fieldWeights = {
+      title: 3,
+      topics: 3,
+      headings: 2,
+      metaDescription: 2,
+      summary: 2,
+      textContent: 1,
+      url: 1
+    };
+
+    this.stopWords = new Set([
+      'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'had', 'has',
+      'have', 'her', 'his', 'how', 'its', 'our', 'out', 'was', 'were', 'what', 'when', 'where',
+      'which', 'who', 'why', 'will', 'with', 'this', 'that', 'these', 'those', 'from', 'into',
+      'about', 'more', 'most', 'than', 'then', 'them', 'they', 'their', 'there', 'here', 'been',
+      'being', 'also', 'just', 'only', 'over', 'such', 'some', 'very', 'each', 'other', 'page',
+      'home', 'http', 'https', 'www', 'com', 'org', 'net', 'html', 'htm', 'php', 'index', 'web',
+      'content', 'site', 'login', 'sign', 'menu', 'search', 'cookie', 'cookies', 'privacy',
+      'terms', 'use', 'using', 'used', 'new', 'one', 'two', 'get', 'may', 'like', 'would', 'should',
+      'could', 'does', 'did', 'via', 'per', 'see', 'read'
+    ]);
+  }
+
+  cluster(tabs) {
+    if (tabs.length === 0) return [];
+
+    const vectors = this.buildVectors(tabs);
+    const indexed = tabs.map((tab, i) => ({ tab, vector: vectors[i] }));
+    const withTerms = indexed.filter(item => item.vector.size > 0);
+    const withoutTerms = indexed.filter(item => item.vector.size === 0);
+
+    let groups;
+    if (withTerms.length < 3) {
+      groups = withTerms.length > 0 ? [withTerms] : [];
+    } else {
+      const assignment = this.agglomerate(withTerms.map(item => item.vector));
+      groups = assignment.map(members => members.map(i => withTerms[i]));
+    }
+
+    const clusters = groups.map(members => {
+      const keywords = this.clusterKeywords(members.map(item => item.vector), vectors);
+      return {
+        name: this.nameFromKeywords(keywords),
+        description: keywords.length > 0 ? `Tabs about ${keywords.slice(0, 4).join(', ')}` : 'Related tabs',
+        tabIds: members.map(item => item.tab.id),
+        keywords
+      };
+    });
+
+    if (withoutTerms.length > 0) {
+      clusters.push({
+        name: 'Other',
+        description: 'Tabs without enough text to group',
+        tabIds: withoutTerms.map(item => item.tab.id),
+        keywords: []
+      });
+    }
+
+    return clusters;
+  }
+
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 2 && !/^\d+$/.test(word) && !this.stopWords.has(word));
+  }
+
+  urlText(url) {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.hostname} ${parsed.pathname}`.replace(/[./_-]+/g, ' ');
+    } catch (error) {
+      return '';
+    }
+  }
+
+  termFrequencies(tab) {
+    const fields = {
+      title: tab.title,
+      topics: Array.isArray(tab.topics) ? tab.topics.join(' ') : '',
+      headings: Array.isArray(tab.headings) ? tab.headings.join(' ') : '',
+      metaDescription: tab.metaDescription,
+      summary: tab.summary,
+      textContent: tab.textContent,
+      url: this.urlText(tab.url)
+    };
+
+    const counts = new Map();
+    Object.entries(fields).forEach(([field, text]) => {
+      this.tokenize(text).forEach(term => {
+        counts.set(term, (counts.get(term) || 0) + this.fieldWeights[field]);
+      });
+    });
+    return counts;
+  }
+
+  buildVectors(tabs) {
+    const frequencies = tabs.map(tab => this.termFrequencies(tab));
+
+    const documentFrequency = new Map();
+    frequencies.forEach(counts => {
+      counts.forEach((count, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      });
+    });
+
+    const n = tabs.length;
+    return frequencies.map(counts => {
+      const vector = new Map();
+      counts.forEach((count, term) => {
+        // Sublinear tf with smoothed idf
+        const idf = Math.log((1 + n) / (1 + documentFrequency.get(term))) + 1;
+        vector.set(term, (1 + Math.log(count)) * idf);
+      });
+      return this.normalize(vector);
+    });
+  }
+
+  normalize(vector) {
+    let norm = 0;
+    vector.forEach(value => { norm += value * value; });
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      vector.forEach((value, term) => vector.set(term, value / norm));
+    }
+    return vector;
+  }
+
+  cosine(a, b) {
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let dot = 0;
+    small.forEach((value, term) => {
+      const other = large.get(term);
+      if (other) dot += value * other;
+    });
+    return dot;
+  }
+
+  agglomerate(vectors) {
+    const n = vectors.length;
+    const similarity = vectors.map((a, i) => vectors.map((b, j) => (i === j ? 1 : this.cosine(a, b))));
+
+    // Average linkage: merge the most similar pair and update with Lance-Williams
+    let clusters = vectors.map((vector, i) => ({ members: [i], size: 1 }));
+    const linkage = similarity.map(row => row.slice());
+    const maxK = Math.min(this.maxClusters, n - 1);
+    const minK = Math.min(this.minClusters, maxK);
+    const candidates = new Map();
+
+    while (clusters.length > minK) {
+      let best = { i: 0, j: 1, value: -Infinity };
+      for (let i = 0; i < clusters.length; i++) {
+        for (let j = i + 1; j < clusters.length; j++) {
+          if (linkage[i][j] > best.value) best = { i, j, value: linkage[i][j] };
+        }
+      }
+
+      const { i, j } = best;
+      const a = clusters[i];
+      const b = clusters[j];
+      const merged = { members: a.members.concat(b.members), size: a.size + b.size };
+
+      for (let k = 0; k < clusters.length; k++) {
+        if (k === i || k === j) continue;
+        const value = (a.size * linkage[i][k] + b.size * linkage[j][k]) / merged.size;
+        linkage[i][k] = value;
+        linkage[k][i] = value;
+      }
+
+      clusters[i] = merged;
+      clusters.splice(j, 1);
+      linkage.splice(j, 1);
+      linkage.forEach(row => row.splice(j, 1));
+
+      if (clusters.length <= maxK) {
+        candidates.set(clusters.length, clusters.map(cluster => cluster.members.slice()));
+      }
+    }
+
+    // Pick the cluster count with the best silhouette score
+    let bestPartition = null;
+    let bestScore = -Infinity;
+    candidates.forEach(partition => {
+      const score = this.silhouette(partition, similarity);
+      if (score > bestScore) {
+        bestScore = score;
+        bestPartition = partition;
+      }
+    });
+
+    return bestPartition || [vectors.map((vector, i) => i)];
+  }
+
+  silhouette(partition, similarity) {
+    const labels = new Map();
+    partition.forEach((members, label) => members.forEach(i => labels.set(i, label)));
+
+    let total = 0;
+    labels.forEach((label, i) => {
+      if (partition[label].length === 1) return; // Singletons score 0
+
+      const distances = partition.map(members => {
+        const others = members.filter(j => j !== i);
+        if (others.length === 0) return Infinity;
+        return others.reduce((sum, j) => sum + (1 - similarity[i][j]), 0) / others.length;
+      });
+
+      const own = distances[label];
+      const nearest = Math.min(...distances.filter((distance, other) => other !== label));
+      const denominator = Math.max(own, nearest);
+      if (denominator > 0 && Number.isFinite(nearest)) {
+        total += (nearest - own) / denominator;
+      }
+    });
+
+    return total / labels.size;
+  }
+
+  clusterKeywords(memberVectors, allVectors, count = 5) {
+    // Terms that weigh more inside the cluster than across all tabs
+    const inside = new Map();
+    memberVectors.forEach(vector => {
+      vector.forEach((value, term) => inside.set(term, (inside.get(term) || 0) + value / memberVectors.length));
+    });
+
+    const overall = new Map();
+    allVectors.forEach(vector => {
+      vector.forEach((value, term) => overall.set(term, (overall.get(term) || 0) + value / allVectors.length));
+    });
+
+    return Array.from(inside.entries())
+      .map(([term, value]) => [term, value * 2 - (overall.get(term) || 0)])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, count)
+      .map(([term]) => term);
+  }
+
+  bestMatch(tab, clusters, minSimilarity = 0.1) {
+    // Incremental assignment: score one tab against cluster profiles built from
+    // their name, description, keywords and sample titles, without re-clustering
+    if (clusters.length === 0) return null;
+
+    const profiles = clusters.map(cluster => ({
+      title: cluster.name,
+      summary: cluster.description,
+      topics: cluster.keywords || [],
+      textContent: (cluster.sampleTitles || []).join(' ')
+    }));
+    const [tabVector, ...profileVectors] = this.buildVectors([tab, ...profiles]);
+
+    let best = null;
+    profileVectors.forEach((vector, index) => {
+      const similarity = this.cosine(tabVector, vector);
+      if (similarity >= minSimilarity && (!best || similarity > best.similarity)) {
+        best = { index, similarity };
+      }
+    });
+    return best;
+  }
+
+  topTerms(tab, count = 3) {
+    return Array.from(this.normalize(this.termFrequencies(tab)).entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, count)
+      .map(([term]) => term);
+  }
+
+  nameFromKeywords(keywords) {
+    if (keywords.length === 0) return 'Other';
+    return keywords
+      .slice(0, 2)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' & ');
+  }
+}
+
+if (typeof module !== 'undefined') module.exports = TabClusterer;
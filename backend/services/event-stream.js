@@ -0,0 +1,43 @@
+// Server-Sent Events over a plain Express response. Used by the streaming analysis
+// endpoint: the request is a POST (tab payloads are too big for EventSource's GET),
+// so clients read the stream with fetch instead of EventSource.
+class EventStream {
+  constructor(res, options = {}) {
+    this.res = res;
+    this.closed = false;
+    this.heartbeatMs = options.heartbeatMs || 15000;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Keep nginx-style proxies from buffering the stream
+    });
+    res.flushHeaders?.();
+
+    // Comment lines keep idle proxies from dropping the connection during clustering
+    this.heartbeat = setInterval(() => this.write(': keep-alive\n\n'), this.heartbeatMs);
+    res.on('close', () => this.close());
+  }
+
+  send(event, data) {
+    this.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  write(chunk) {
+    if (!this.closed) this.res.write(chunk);
+  }
+
+  end() {
+    if (this.closed) return;
+    this.close();
+    this.res.end();
+  }
+
+  close() {
+    this.closed = true;
+    clearInterval(this.heartbeat);
+  }
+}
+
+module.exports = EventStream;
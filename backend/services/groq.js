@@ -1,87 +1,402 @@
+const { createProvider, resolveProviderName } = require('./providers');
+const TabClusterer = require('./clustering');
+const PriorityRubric = require('./rubric');
+const RequestScheduler = require('./scheduler');
+const StructuredOutput = require('./structured-output');
+const { tabAnalysisSchema, clusterListSchema, classificationSchema } = require('./schemas');
+
 class GroqService {
-  constructor() {
-    this.baseUrl = process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1';
-    this.apiKey = process.env.GROQ_API_KEY;
-    this.model = 'llama-3.1-70b-versatile';
-    
-    if (!this.apiKey) {
-      console.warn('WARNING: GROQ_API_KEY environment variable is not set. API calls will fail.');
+  constructor(options = {}) {
+    this.cache = options.cache || null; // Optional SummaryCache shared across users
+    this.provider = options.provider || null; // Fixed provider instance (e.g. MockProvider in tests)
+    this.providers = new Map();
+    this.schedulers = new Map(); // One per provider instance, shared by all requests
+    this.localClusterer = new TabClusterer();
+    this.rubric = new PriorityRubric();
+    // Schema validation and repair retries for every JSON response; its metrics are process-wide
+    this.structuredOutput = new StructuredOutput();
+    // Above this many tabs one clustering prompt gets truncated, so tabs are clustered
+    // in chunks and the chunk clusters merged (hierarchicalClustering)
+    this.hierarchicalThreshold = options.hierarchicalThreshold || parseInt(process.env.HIERARCHICAL_CLUSTERING_THRESHOLD) || 100;
+    this.clusterChunkSize = options.clusterChunkSize || parseInt(process.env.CLUSTER_CHUNK_SIZE) || 50;
+    // Clusters may nest sub-clusters this many levels deep (preferences.subClusters)
+    this.maxClusterDepth = 2;
+    this.subClusterMinTabs = 12;
+
+    // Create the deployment default up front so misconfiguration shows at startup
+    this.getProvider();
+  }
+
+  getProvider(plan) {
+    if (this.provider) return this.provider;
+
+    const name = resolveProviderName(plan);
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createProvider(name));
     }
+    return this.providers.get(name);
   }
 
-  async analyzeTabs(tabs) {
-    try {
-      // Step 1: Analyze each tab with priority scoring
-      const summaries = await Promise.all(
-        tabs.map(tab => this.analyzeAndPrioritizeTab(tab).catch(err => ({
-          id: tab.id,
-          title: tab.title,
-          url: tab.url,
-          summary: `${tab.title} - ${tab.metaDescription || 'Web page content'}`,
-          priorityScore: 3,
-          priorityRationale: 'Analysis unavailable',
-          topics: [],
-          error: err.message
-        })))
-      );
+  // The plan's provider with every call paced and retried by its RequestScheduler;
+  // retries, rate limits and timeouts are counted into `stats`
+  getScheduledProvider(plan, stats) {
+    const provider = this.getProvider(plan);
+    if (!this.schedulers.has(provider)) {
+      this.schedulers.set(provider, new RequestScheduler({ requestsPerMinute: provider.requestsPerMinute }));
+    }
+    return this.schedulers.get(provider).wrap(provider, stats);
+  }
 
-      // Step 2: Cluster tabs based on summaries and sort by priority
-      const clusters = await this.clusterAndSortTabs(summaries);
+  createStats() {
+    return { ...RequestScheduler.createStats(), ...StructuredOutput.createStats() };
+  }
 
-      return {
-        summaries: summaries.filter(s => !s.error),
-        clusters,
-        processed: summaries.length,
-        errors: summaries.filter(s => s.error).length
-      };
+  // Parsed, schema-checked JSON from the model; throws (error.invalidOutput) once repairs run out
+  completeJson(provider, request, name, schema) {
+    return this.structuredOutput.complete(provider, request, { name, schema }, provider.stats);
+  }
+
+  async analyzeTabs(tabs, previousSummaries = [], options = {}) {
+    try {
+      const analysisOptions = { ...options, stats: options.stats || this.createStats() };
+      const summaries = await this.summarizeTabs(tabs, analysisOptions);
+      return await this.clusterSummaries(summaries, previousSummaries, analysisOptions);
     } catch (error) {
       console.error('Tab analysis failed:', error);
       throw new Error('AI analysis failed');
     }
   }
 
-  async analyzeAndPrioritizeTab(tab) {
-    const prompt = this.createPriorityAnalysisPrompt(tab);
-    
-    const response = await this.makeGroqRequest({
-      model: this.model,
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 300,
-      temperature: 0.3
-    });
+  // Step 1 of analyzeTabs, also run batch by batch by analysis jobs (services/jobs.js).
+  // Failed tabs come back with an `error` and a title-based placeholder summary
+  async summarizeTabs(tabs, options = {}) {
+    const provider = this.getScheduledProvider(options.plan, options.stats);
+    const rubric = this.rubric.resolve(options.rubric);
+
+    // onProgress (streaming endpoint) hears about each summary as it completes
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+    let completed = 0;
+
+    return Promise.all(
+      tabs.map(tab => this.analyzeAndPrioritizeTab(tab, provider, rubric).catch(err => ({
+        id: tab.id,
+        title: tab.title,
+        url: tab.url,
+        summary: `${tab.title} - ${tab.metaDescription || 'Web page content'}`,
+        priorityScore: 3,
+        priorityRationale: 'Analysis unavailable',
+        topics: [],
+        error: err.message
+      })).then(summary => {
+        completed++;
+        onProgress({ stage: 'summary', current: completed, total: tabs.length, summary });
+        return summary;
+      }))
+    );
+  }
 
-    const content = response.choices[0].message.content.trim();
-    
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
+  // Steps 2-3 of analyzeTabs: merge in the unchanged tabs, then cluster and sort
+  async clusterSummaries(summaries, previousSummaries = [], options = {}) {
+    const stats = options.stats || this.createStats();
+    const provider = this.getScheduledProvider(options.plan, stats);
+    const preferences = this.sanitizePreferences(options.preferences);
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+
+    // Step 2: Merge with summaries of unchanged tabs (fresh analysis wins)
+    const analyzedIds = new Set(summaries.map(s => s.id));
+    const reused = this.sanitizePreviousSummaries(previousSummaries)
+      .filter(s => !analyzedIds.has(s.id));
+    const merged = [...summaries, ...reused];
+
+    // Step 3: Cluster the merged set based on summaries and sort by priority
+    onProgress({ stage: 'clustering', current: summaries.length, total: summaries.length });
+    const constraints = this.sanitizeConstraints(options.constraints);
+    const clusters = await this.clusterAndSortTabs(merged, provider, constraints, preferences);
+
+    return {
+      summaries: merged.filter(s => !s.error),
+      clusters,
+      processed: summaries.length,
+      reused: reused.length,
+      cacheHits: summaries.filter(s => s.cached).length,
+      // Tabs left with a placeholder summary
+      errors: summaries.filter(s => s.error).length,
+      // What it took to get the rest
+      stats: {
+        retries: stats.retries,
+        rateLimited: stats.rateLimited,
+        timeouts: stats.timeouts,
+        // Calls still failing after the last retry
+        failedCalls: stats.failedCalls,
+        // Responses that failed schema validation: re-prompts sent, and ones given up on
+        repairs: stats.repairs,
+        fallbacks: stats.fallbacks
+      }
+    };
+  }
+
+  async classifyTab(tab, clusters, options = {}) {
+    // Incremental path for a single new tab: summarize it, then pick the best-fit
+    // existing cluster (or propose a new one) instead of re-clustering everything
+    const provider = this.getScheduledProvider(options.plan);
+    const candidates = this.sanitizeClusterCandidates(clusters);
+    const summary = await this.analyzeAndPrioritizeTab(tab, provider, this.rubric.resolve(options.rubric));
+
+    let cluster = null;
+    if (candidates.length > 0) {
+      try {
+        const parsed = await this.completeJson(provider, {
+          messages: [{ role: 'user', content: this.createClassificationPrompt(summary, candidates) }],
+          maxTokens: 150,
+          temperature: 0.1,
+          task: 'classify',
+          context: { tab: summary, clusters: candidates }
+        }, 'classification', classificationSchema);
+        cluster = this.resolveClassification(parsed, candidates);
+      } catch (error) {
+        console.error('Classification failed, using fallback:', error);
+      }
+    }
+
+    return {
+      summary,
+      cluster: cluster || this.fallbackClassification(summary, candidates),
+      cacheHits: summary.cached ? 1 : 0
+    };
+  }
+
+  sanitizeClusterCandidates(clusters) {
+    if (!Array.isArray(clusters)) return [];
+
+    return clusters
+      .filter(cluster => cluster && typeof cluster.name === 'string' && cluster.name.trim())
+      .slice(0, 50)
+      .map(cluster => ({
+        name: cluster.name.trim().slice(0, 80),
+        description: String(cluster.description || '').slice(0, 200),
+        sampleTitles: (Array.isArray(cluster.sampleTitles) ? cluster.sampleTitles : [])
+          .slice(0, 5)
+          .map(title => String(title).slice(0, 120))
+      }));
+  }
+
+  createClassificationPrompt(summary, candidates) {
+    const clusterList = candidates
+      .map(cluster => {
+        const examples = cluster.sampleTitles.length > 0 ? ` (e.g. ${cluster.sampleTitles.map(t => `"${t}"`).join(', ')})` : '';
+        return `- "${cluster.name}": ${cluster.description || 'No description'}${examples}`;
+      })
+      .join('\n');
+
+    return `A user has grouped their browser tabs into these clusters:
+${clusterList}
+
+A new tab was opened:
+Title: ${summary.title}
+URL: ${summary.url}
+Summary: ${summary.summary}
+Topics: ${(summary.topics || []).join(', ') || 'N/A'}
+
+Pick the existing cluster this tab fits best. Only propose a new cluster if it clearly fits none of them.
+
+Return ONLY valid JSON in this exact format:
+{
+  "cluster": "exact existing cluster name, or a short new cluster name",
+  "isNew": false,
+  "description": "brief description (only needed for a new cluster)"
+}`;
+  }
+
+  resolveClassification(parsed, candidates) {
+    const name = parsed.cluster.trim();
+
+    // Models drift on casing; an existing name always wins over "isNew"
+    const existing = candidates.find(c => c.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      return { name: existing.name, description: existing.description, isNew: false };
+    }
+    return {
+      name: name.slice(0, 80),
+      description: String(parsed.description || 'New cluster').slice(0, 200),
+      isNew: true
+    };
+  }
+
+  fallbackClassification(summary, candidates) {
+    // TF-IDF similarity against the cluster profiles, else a keyword-named new cluster
+    const match = this.localClusterer.bestMatch(summary, candidates);
+    if (match) {
+      const existing = candidates[match.index];
+      return { name: existing.name, description: existing.description, isNew: false };
+    }
+
+    const keywords = this.localClusterer.topTerms(summary, 2);
+    return {
+      name: this.localClusterer.nameFromKeywords(keywords),
+      description: keywords.length > 0 ? `Tabs about ${keywords.join(', ')}` : 'Related tabs',
+      isNew: true
+    };
+  }
+
+  sanitizePreviousSummaries(previousSummaries) {
+    // Previous summaries come from the client, so only keep well-formed fields
+    if (!Array.isArray(previousSummaries)) return [];
+
+    return previousSummaries
+      .filter(s => s && s.id !== undefined && typeof s.url === 'string')
+      .map(s => ({
+        id: s.id,
+        title: String(s.title || s.url),
+        url: s.url,
+        summary: String(s.summary || s.title || ''),
+        priorityScore: Math.min(5, Math.max(1, parseInt(s.priorityScore) || 3)),
+        priorityRationale: String(s.priorityRationale || 'Standard content'),
+        subScores: this.sanitizeSubScores(s.subScores),
+        topics: Array.isArray(s.topics) ? s.topics.slice(0, 5).map(String) : []
+      }));
+  }
+
+  sanitizeSubScores(subScores) {
+    if (!subScores || typeof subScores !== 'object') return {};
+    return Object.fromEntries(Object.entries(subScores)
+      .slice(0, this.rubric.maxCriteria)
+      .map(([id, score]) => [String(id).slice(0, 40), this.rubric.clamp(score)]));
+  }
+
+  async analyzeAndPrioritizeTab(tab, provider = this.getProvider(), rubric = this.rubric.defaults()) {
+    const prompt = this.createPriorityAnalysisPrompt(tab, rubric);
+
+    // The prompt holds everything the summary depends on, so it doubles as the content key
+    const contentHash = this.cache
+      ? this.cache.hashContent(`${provider.name}:${provider.model}\n${prompt}`)
+      : null;
+    if (this.cache) {
+      const cached = await this.cache.get(tab.url, contentHash);
+      if (cached) {
         return {
           id: tab.id,
           title: tab.title,
           url: tab.url,
-          summary: parsed.summary || tab.title,
-          priorityScore: Math.min(5, Math.max(1, parseInt(parsed.priorityScore) || 3)),
-          priorityRationale: parsed.priorityRationale || 'Standard content',
-          topics: parsed.topics || this.extractTopics(content, tab)
+          ...cached,
+          cached: true
         };
       }
-    } catch (parseError) {
-      console.error('Failed to parse priority response:', parseError);
+    }
+    
+    let parsed;
+    try {
+      parsed = await this.completeJson(provider, {
+        messages: [{ role: 'user', content: prompt }],
+        maxTokens: 300,
+        temperature: 0.3,
+        task: 'analyze',
+        context: { tab, rubric }
+      }, 'tab_analysis', tabAnalysisSchema(rubric));
+    } catch (error) {
+      if (!error.invalidOutput) throw error;
+      // Still no usable analysis after the repair prompts; never cached
+      console.error('Invalid priority response, using defaults:', error.message);
+      return {
+        id: tab.id,
+        title: tab.title,
+        url: tab.url,
+        summary: `${tab.title} - ${tab.metaDescription || 'Web page content'}`,
+        ...this.rubric.score({}, rubric),
+        priorityRationale: 'Unable to determine priority',
+        topics: this.extractTopics('', tab)
+      };
+    }
+
+    const analysis = {
+      summary: parsed.summary,
+      ...this.rubric.score(parsed, rubric),
+      priorityRationale: parsed.priorityRationale || 'Standard content',
+      topics: parsed.topics.slice(0, 5)
+    };
+
+    if (this.cache) {
+      await this.cache.set(tab.url, contentHash, analysis);
     }
 
     return {
       id: tab.id,
       title: tab.title,
       url: tab.url,
-      summary: content.slice(0, 200),
-      priorityScore: 3,
-      priorityRationale: 'Unable to determine priority',
-      topics: this.extractTopics(content, tab)
+      ...analysis
     };
   }
 
-  async clusterAndSortTabs(tabSummaries) {
+  sanitizePreferences(preferences) {
+    // Options-page settings from the extension; the priority rubric lives in the user profile
+    const prefs = preferences && typeof preferences === 'object' ? preferences : {};
+
+    const minClusters = Math.min(12, Math.max(1, parseInt(prefs.minClusters) || 2));
+    const maxClusters = Math.min(12, Math.max(minClusters, parseInt(prefs.maxClusters) || 6));
+
+    // Older clients don't send subClusters; nested output still lists every tab in tabIds
+    return { minClusters, maxClusters, subClusters: prefs.subClusters !== false };
+  }
+
+  describeSubClusters(preferences, keyField = 'tabIds') {
+    if (!preferences.subClusters) return '';
+    return `- "subClusters" (optional): only for a cluster with more than ${this.subClusterMinTabs} tabs that spans clearly distinct sub-topics, 2-5 sub-clusters, each with "name", "description" and "${keyField}". Put each of the cluster's ${keyField === 'tabIds' ? 'tabs' : 'keys'} in exactly one sub-cluster
+`;
+  }
+
+  sanitizeConstraints(constraints) {
+    // Manual cluster edits from the sidebar: user-defined clusters + URL -> cluster name
+    if (!constraints || typeof constraints !== 'object') return null;
+
+    const clusters = (Array.isArray(constraints.clusters) ? constraints.clusters : [])
+      .filter(cluster => cluster && typeof cluster.name === 'string' && cluster.name.trim())
+      .slice(0, 50)
+      .map(cluster => ({
+        name: cluster.name.trim().slice(0, 80),
+        description: String(cluster.description || '').slice(0, 200)
+      }));
+
+    const assignments = {};
+    Object.entries(constraints.assignments || {})
+      .filter(([url, name]) => typeof url === 'string' && typeof name === 'string' && name.trim())
+      .slice(0, 1000)
+      .forEach(([url, name]) => { assignments[url] = name.trim().slice(0, 80); });
+
+    if (clusters.length === 0 && Object.keys(assignments).length === 0) return null;
+    return { clusters, assignments };
+  }
+
+  applyUserConstraints(clusters, tabSummaries, constraints) {
+    // Force manually assigned tabs into their user-chosen cluster, whatever the model said
+    if (!constraints || !Array.isArray(clusters)) return clusters;
+
+    const pinned = new Map();
+    tabSummaries.forEach(tab => {
+      const name = constraints.assignments[tab.url];
+      if (name) pinned.set(tab.id, name);
+    });
+    if (pinned.size === 0) return clusters;
+
+    const unpin = cluster => ({
+      ...cluster,
+      tabIds: Array.isArray(cluster.tabIds) ? cluster.tabIds.filter(id => !pinned.has(id)) : [],
+      ...(Array.isArray(cluster.subClusters) && { subClusters: cluster.subClusters.filter(sub => sub).map(unpin) })
+    });
+    const result = clusters.filter(cluster => cluster).map(unpin);
+
+    pinned.forEach((name, tabId) => {
+      let cluster = result.find(c => c.name === name);
+      if (!cluster) {
+        const userCluster = constraints.clusters.find(c => c.name === name);
+        cluster = { name, description: userCluster?.description || 'Your cluster', tabIds: [] };
+        result.push(cluster);
+      }
+      cluster.tabIds.push(tabId);
+    });
+
+    return result;
+  }
+
+  async clusterAndSortTabs(tabSummaries, provider = this.getProvider(), constraints = null, preferences = this.sanitizePreferences()) {
     if (tabSummaries.length < 2) {
       return [{
         name: 'All Tabs',
@@ -91,94 +406,257 @@ class GroqService {
       }];
     }
 
+    let clusters;
+    if (tabSummaries.length > this.hierarchicalThreshold) {
+      clusters = await this.hierarchicalClustering(tabSummaries, provider, constraints, preferences);
+    } else {
+      try {
+        const prompt = this.createClusteringPrompt(tabSummaries, constraints, preferences);
+        
+        clusters = await this.requestClusters(provider, {
+          messages: [{ role: 'user', content: prompt }],
+          maxTokens: preferences.subClusters ? 1200 : 800,
+          temperature: 0.2,
+          task: 'cluster',
+          context: { tabSummaries, constraints }
+        }, preferences);
+      } catch (error) {
+        console.error('Clustering failed, using fallback:', error);
+        clusters = this.fallbackClustering(tabSummaries, preferences);
+      }
+    }
+
+    return this.validateAndSortClusters(this.applyUserConstraints(clusters, tabSummaries, constraints), tabSummaries);
+  }
+
+  async hierarchicalClustering(tabSummaries, provider, constraints, preferences) {
+    // Map: cluster chunks independently (in parallel, paced by the scheduler). Sorting by
+    // host first keeps each site's tabs together, so fewer topics straddle chunks
+    const hostOf = tab => {
+      try {
+        return new URL(tab.url).hostname.replace(/^www\./, '');
+      } catch (error) {
+        return '';
+      }
+    };
+    const sorted = [...tabSummaries].sort((a, b) =>
+      hostOf(a).localeCompare(hostOf(b)) || a.title.localeCompare(b.title));
+
+    const chunks = [];
+    for (let i = 0; i < sorted.length; i += this.clusterChunkSize) {
+      chunks.push(sorted.slice(i, i + this.clusterChunkSize));
+    }
+
+    const chunkClusters = await Promise.all(
+      chunks.map(chunk => this.clusterChunk(chunk, provider, constraints, preferences))
+    );
+    const tabMap = new Map(tabSummaries.map(tab => [tab.id, tab]));
+    const groups = chunkClusters.flat().map((cluster, index) => ({
+      key: `G${index + 1}`,
+      name: cluster.name,
+      description: cluster.description || '',
+      tabIds: cluster.tabIds,
+      sampleTitles: cluster.tabIds.slice(0, 3).map(id => tabMap.get(id).title)
+    }));
+
+    // Reduce: merge the chunk clusters into the final set with one consistent naming pass
     try {
-      const prompt = this.createClusteringPrompt(tabSummaries);
-      
-      const response = await this.makeGroqRequest({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 800,
-        temperature: 0.2
-      });
+      const merged = await this.completeJson(provider, {
+        messages: [{ role: 'user', content: this.createMergePrompt(groups, chunks.length, constraints, preferences) }],
+        maxTokens: 1500,
+        temperature: 0.2,
+        task: 'merge-clusters',
+        context: { groups, constraints }
+      }, 'merge_clusters', clusterListSchema('groups', preferences.subClusters ? this.maxClusterDepth : 0));
+      return this.resolveMergeGroups(merged.clusters, groups);
+    } catch (error) {
+      console.error('Cluster merge failed, merging by name:', error);
+      return this.mergeGroupsByName(groups);
+    }
+  }
 
-      const clustersText = response.choices[0].message.content.trim();
-      const clusters = this.parseClusteringResponse(clustersText, tabSummaries);
-      
-      return this.validateAndSortClusters(clusters, tabSummaries);
+  async clusterChunk(chunk, provider, constraints, preferences) {
+    let clusters;
+    try {
+      // Chunk clusters are flattened into merge groups, so nesting is left to the merge pass
+      const chunkPreferences = { ...preferences, subClusters: false };
+      clusters = await this.requestClusters(provider, {
+        messages: [{ role: 'user', content: this.createClusteringPrompt(chunk, constraints, chunkPreferences) }],
+        maxTokens: 1200,
+        temperature: 0.2,
+        task: 'cluster',
+        context: { tabSummaries: chunk, constraints }
+      }, chunkPreferences);
     } catch (error) {
-      console.error('Clustering failed, using fallback:', error);
-      return this.fallbackClustering(tabSummaries);
+      console.error('Chunk clustering failed, using fallback:', error);
+      clusters = this.fallbackClustering(chunk, preferences);
+    }
+
+    // Keeps only this chunk's ids, each once; leftovers become the chunk's "Other"
+    return this.validateAndSortClusters(clusters, chunk);
+  }
+
+  createMergePrompt(groups, chunkCount, constraints = null, preferences = this.sanitizePreferences()) {
+    const groupList = groups
+      .map(group => {
+        const examples = group.sampleTitles.map(title => `"${title}"`).join(', ');
+        return `- ${group.key} "${group.name}" (${group.tabIds.length} tabs): ${group.description || 'No description'}. e.g. ${examples}`;
+      })
+      .join('\n');
+
+    let userSection = '';
+    if (constraints && constraints.clusters.length > 0) {
+      const named = constraints.clusters.map(cluster => `- "${cluster.name}"`);
+      userSection = `Reuse these user-defined cluster names where they fit:
+${named.join('\n')}
+
+`;
     }
+
+    return `Browser tabs were clustered in ${chunkCount} separate batches, so clusters about the same topic appear several times under different names.
+Merge these ${groups.length} clusters into ${this.clusterRange(preferences)} final clusters. Combine clusters about the same topic, and give each final cluster one short, descriptive name in a consistent style.
+
+${userSection}Clusters to merge:
+${groupList}
+
+Return ONLY a valid JSON object with a "clusters" array where each final cluster has:
+- "name": A short, descriptive cluster name
+- "description": A brief explanation of what the cluster contains
+- "groups": An array of the cluster keys it combines (e.g. ["G1", "G4"])
+${this.describeSubClusters(preferences, 'groups')}Use every key exactly once.
+
+Return only the JSON object:`;
+  }
+
+  resolveMergeGroups(parsed, groups) {
+    const byKey = new Map(groups.map(group => [group.key, group]));
+    const used = new Set();
+    const toCluster = (cluster, depth) => {
+      // Sub-clusters take their groups first, as in validateAndSortClusters
+      const subClusters = depth < this.maxClusterDepth && Array.isArray(cluster.subClusters)
+        ? cluster.subClusters
+          .filter(sub => sub && sub.name && (Array.isArray(sub.groups) || Array.isArray(sub.subClusters)))
+          .map(sub => toCluster(sub, depth + 1))
+        : [];
+      const members = (Array.isArray(cluster.groups) ? cluster.groups : [])
+        .map(key => String(key).trim())
+        .filter(key => byKey.has(key) && !used.has(key));
+      members.forEach(key => used.add(key));
+
+      return {
+        name: String(cluster.name),
+        description: String(cluster.description || ''),
+        tabIds: members.flatMap(key => byKey.get(key).tabIds),
+        ...(subClusters.length > 0 && { subClusters })
+      };
+    };
+    const clusters = parsed
+      .filter(cluster => cluster && cluster.name && (Array.isArray(cluster.groups) || Array.isArray(cluster.subClusters)))
+      .map(cluster => toCluster(cluster, 0));
+
+    // Groups the model forgot keep their chunk-level cluster rather than landing in "Other"
+    const forgotten = groups.filter(group => !used.has(group.key));
+    return [...clusters, ...this.mergeGroupsByName(forgotten)];
   }
 
-  createPriorityAnalysisPrompt(tab) {
+  mergeGroupsByName(groups) {
+    // Deterministic reduce step: chunk clusters with the same name become one
+    const merged = new Map();
+    groups.forEach(group => {
+      const key = group.name.trim().toLowerCase();
+      if (!merged.has(key)) {
+        merged.set(key, { name: group.name, description: group.description, tabIds: [] });
+      }
+      merged.get(key).tabIds.push(...group.tabIds);
+    });
+    return Array.from(merged.values());
+  }
+
+  createPriorityAnalysisPrompt(tab, rubric = this.rubric.defaults()) {
     return `Analyze this web page and provide:
 1. A concise summary (2-3 sentences)
-2. A Priority Score (1-5, where 1 = highest priority) based on:
-   
-   Learning Value Factors:
-   - Depth of content (comprehensive vs superficial)
-   - Uniqueness of knowledge (rare insights vs common info)
-   - Longevity (evergreen vs ephemeral content)
-   - Technical rigor (well-researched vs casual)
-   
-   Utility Value Factors:
-   - Practical applicability (can be applied immediately)
-   - Reusability (code, frameworks, APIs, papers, templates)
-   - Actionability (clear next steps vs passive reading)
-   - Educational value (teaches skills vs entertains)
-
+${this.rubric.describe(rubric)}
 3. A brief rationale for the priority score (1-2 sentences)
 
 Web Page Details:
 Title: ${tab.title}
 URL: ${tab.url}
 Meta Description: ${tab.metaDescription || 'N/A'}
-Main Headings: ${tab.headings?.join(', ') || 'N/A'}
-Content Preview: ${tab.textContent?.slice(0, 1500) || 'N/A'}
+${this.describePageMetadata(tab)}Main Headings: ${tab.headings?.join(', ') || 'N/A'}
+Main Content: ${tab.textContent?.slice(0, 2500) || 'N/A'}
 
 Return ONLY valid JSON in this exact format:
-{
-  "summary": "...",
-  "priorityScore": 1-5,
-  "priorityRationale": "...",
-  "topics": ["topic1", "topic2", "topic3"]
-}`;
+${this.rubric.responseFormat(rubric)}`;
   }
 
-  createClusteringPrompt(tabSummaries) {
+  describePageMetadata(tab) {
+    // Structured fields from src/content/extractor.js; older clients send none of them
+    const metadata = tab.metadata && typeof tab.metadata === 'object' ? tab.metadata : {};
+    const lines = [
+      ['Site', metadata.siteName],
+      ['Content Type', metadata.type],
+      ['Author', metadata.author],
+      ['Published', metadata.publishedTime],
+      ['Keywords', metadata.keywords],
+      ['Stats', metadata.stats],
+      ['Duration', metadata.durationMinutes ? `${metadata.durationMinutes} min` : ''],
+      ['Length', tab.wordCount ? `${tab.wordCount} words (~${tab.readingTimeMinutes || 1} min read)` : '']
+    ]
+      .filter(([, value]) => value)
+      .map(([label, value]) => `${label}: ${String(value).slice(0, 200)}`);
+
+    if (Array.isArray(tab.codeBlocks) && tab.codeBlocks.length > 0) {
+      const samples = tab.codeBlocks.slice(0, 3)
+        .map(block => `[${block.language || 'code'}] ${String(block.snippet || '').slice(0, 300)}`);
+      lines.push(`Code Samples:\n${samples.join('\n')}`);
+    }
+
+    return lines.map(line => `${line}\n`).join('');
+  }
+
+  createClusteringPrompt(tabSummaries, constraints = null, preferences = this.sanitizePreferences()) {
     const tabList = tabSummaries
       .map(tab => `Tab ${tab.id} [Priority: ${tab.priorityScore}]: "${tab.title}" - ${tab.summary}`)
       .join('\n');
 
-    return `Analyze these web page summaries and group them into 2-6 logical clusters based on their topics and content similarity.
+    let userSection = '';
+    if (constraints) {
+      const assigned = tabSummaries
+        .filter(tab => constraints.assignments[tab.url])
+        .map(tab => `- Tab ${tab.id} belongs in "${constraints.assignments[tab.url]}"`);
+      const named = constraints.clusters
+        .map(cluster => `- "${cluster.name}"${cluster.description ? `: ${cluster.description}` : ''}`);
+
+      userSection = `The user has corrected previous clusters by hand. Respect these corrections exactly:
+${assigned.join('\n') || '- (no fixed tab assignments)'}
+Reuse these user-defined cluster names where tabs fit them:
+${named.join('\n') || '- (none)'}
+
+`;
+    }
+
+    return `Analyze these web page summaries and group them into ${this.clusterRange(preferences)} logical clusters based on their topics and content similarity.
 Each tab has been analyzed with a priority score (1=highest, 5=lowest).
 
-Return ONLY a valid JSON array where each cluster has:
+Return ONLY a valid JSON object with a "clusters" array where each cluster has:
 - "name": A short, descriptive cluster name
 - "description": A brief explanation of what the cluster contains
 - "tabIds": An array of tab IDs that belong to this cluster
-
-Tabs to cluster:
+${this.describeSubClusters(preferences)}
+${userSection}Tabs to cluster:
 ${tabList}
 
-Return only the JSON array:`;
+Return only the JSON object:`;
   }
 
-  parseClusteringResponse(responseText, tabSummaries) {
-    try {
-      // Try to extract JSON from the response
-      const jsonMatch = responseText.match(/\[.*\]/s);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      // If no JSON found, try parsing the full response
-      return JSON.parse(responseText);
-    } catch (error) {
-      console.error('Failed to parse clustering response:', error);
-      return this.fallbackClustering(tabSummaries);
-    }
+  clusterRange({ minClusters, maxClusters }) {
+    return minClusters === maxClusters ? `exactly ${minClusters}` : `${minClusters}-${maxClusters}`;
+  }
+
+  async requestClusters(provider, request, preferences) {
+    const depth = preferences.subClusters ? this.maxClusterDepth : 0;
+    const { clusters } = await this.completeJson(provider, request, 'clusters', clusterListSchema('tabIds', depth));
+    return clusters;
   }
 
   validateAndSortClusters(clusters, tabSummaries) {
@@ -188,34 +666,7 @@ Return only the JSON array:`;
 
     const tabMap = new Map(tabSummaries.map(tab => [tab.id, tab]));
     const assignedTabIds = new Set();
-
-    const validClusters = clusters
-      .filter(cluster => cluster.name && cluster.tabIds && Array.isArray(cluster.tabIds))
-      .map(cluster => {
-        // Filter valid tab IDs and remove duplicates
-        cluster.tabIds = cluster.tabIds.filter(id => {
-          const isValid = tabMap.has(id) && !assignedTabIds.has(id);
-          if (isValid) assignedTabIds.add(id);
-          return isValid;
-        });
-
-        // Sort tabs within cluster by priority score, then by title
-        cluster.tabIds.sort((a, b) => {
-          const tabA = tabMap.get(a);
-          const tabB = tabMap.get(b);
-          if (tabA.priorityScore !== tabB.priorityScore) {
-            return tabA.priorityScore - tabB.priorityScore;
-          }
-          return tabA.title.localeCompare(tabB.title);
-        });
-
-        // Calculate cluster priority (average of tab priorities)
-        const avgPriority = cluster.tabIds.reduce((sum, id) => sum + tabMap.get(id).priorityScore, 0) / cluster.tabIds.length;
-        cluster.clusterPriority = Math.round(avgPriority * 10) / 10;
-
-        return cluster;
-      })
-      .filter(cluster => cluster.tabIds.length > 0);
+    const validClusters = this.validateClusterLevel(clusters, tabMap, assignedTabIds, 0);
 
     // Handle unassigned tabs
     const unassignedTabs = tabSummaries.filter(tab => !assignedTabIds.has(tab.id));
@@ -236,52 +687,67 @@ Return only the JSON array:`;
     return validClusters.sort((a, b) => a.clusterPriority - b.clusterPriority);
   }
 
-  fallbackClustering(tabSummaries) {
-    const domainClusters = new Map();
-    const tabMap = new Map(tabSummaries.map(tab => [tab.id, tab]));
-    
-    tabSummaries.forEach(tab => {
-      try {
-        const domain = new URL(tab.url).hostname.replace('www.', '');
-        const key = domain.split('.')[0] || 'unknown';
-        
-        if (!domainClusters.has(key)) {
-          domainClusters.set(key, {
-            name: key.charAt(0).toUpperCase() + key.slice(1),
-            description: `Pages from ${domain}`,
-            tabIds: [],
-            clusterPriority: 0
-          });
-        }
-        domainClusters.get(key).tabIds.push(tab.id);
-      } catch (error) {
-        // Handle invalid URLs
-        if (!domainClusters.has('other')) {
-          domainClusters.set('other', {
-            name: 'Other',
-            description: 'Miscellaneous pages',
-            tabIds: [],
-            clusterPriority: 0
-          });
-        }
-        domainClusters.get('other').tabIds.push(tab.id);
+  validateClusterLevel(clusters, tabMap, assignedTabIds, depth) {
+    // A cluster's tabIds always end up listing all of its tabs, sub-cluster tabs first
+    // (so organizing keeps each sub-cluster contiguous), then its own ungrouped tabs
+    const byPriority = (a, b) => {
+      const tabA = tabMap.get(a);
+      const tabB = tabMap.get(b);
+      if (tabA.priorityScore !== tabB.priorityScore) {
+        return tabA.priorityScore - tabB.priorityScore;
       }
-    });
+      return tabA.title.localeCompare(tabB.title);
+    };
 
-    // Sort tabs within each cluster and calculate cluster priority
-    const result = Array.from(domainClusters.values())
-      .filter(cluster => cluster.tabIds.length > 0)
+    const validated = clusters
+      .filter(cluster => cluster && cluster.name &&
+        (Array.isArray(cluster.tabIds) || Array.isArray(cluster.subClusters)))
       .map(cluster => {
-        cluster.tabIds.sort((a, b) => {
-          const tabA = tabMap.get(a);
-          const tabB = tabMap.get(b);
-          return (tabA?.priorityScore || 3) - (tabB?.priorityScore || 3);
+        // Sub-clusters claim their tabs first, so a tab listed in both stays in the sub-cluster
+        let subClusters = depth < this.maxClusterDepth && Array.isArray(cluster.subClusters)
+          ? this.validateClusterLevel(cluster.subClusters, tabMap, assignedTabIds, depth + 1)
+          : [];
+
+        // Filter valid tab IDs and remove duplicates
+        let ownTabIds = (Array.isArray(cluster.tabIds) ? cluster.tabIds : []).filter(id => {
+          const isValid = tabMap.has(id) && !assignedTabIds.has(id);
+          if (isValid) assignedTabIds.add(id);
+          return isValid;
         });
-        cluster.clusterPriority = cluster.tabIds.reduce((sum, id) => sum + (tabMap.get(id)?.priorityScore || 3), 0) / cluster.tabIds.length;
-        return cluster;
-      });
 
-    return result.sort((a, b) => a.clusterPriority - b.clusterPriority);
+        // A single sub-cluster adds nothing, so fold it back into its parent
+        if (subClusters.length === 1) {
+          ownTabIds = [...subClusters[0].tabIds, ...ownTabIds];
+          subClusters = [];
+        }
+        ownTabIds.sort(byPriority);
+
+        const tabIds = [...subClusters.flatMap(sub => sub.tabIds), ...ownTabIds];
+        const result = {
+          ...cluster,
+          name: String(cluster.name),
+          tabIds,
+          // Calculate cluster priority (average of tab priorities)
+          clusterPriority: tabIds.length > 0
+            ? Math.round(tabIds.reduce((sum, id) => sum + tabMap.get(id).priorityScore, 0) / tabIds.length * 10) / 10
+            : 0
+        };
+        delete result.subClusters;
+        if (subClusters.length > 0) result.subClusters = subClusters;
+        return result;
+      })
+      .filter(cluster => cluster.tabIds.length > 0);
+
+    // Top-level clusters are sorted (with "Other") by validateAndSortClusters
+    return depth > 0 ? validated.sort((a, b) => a.clusterPriority - b.clusterPriority) : validated;
+  }
+
+  fallbackClustering(tabSummaries, preferences = null) {
+    // Offline TF-IDF clustering when the LLM is unavailable or returns garbage
+    const clusterer = preferences
+      ? new TabClusterer({ minClusters: preferences.minClusters, maxClusters: preferences.maxClusters })
+      : this.localClusterer;
+    return this.validateAndSortClusters(clusterer.cluster(tabSummaries), tabSummaries);
   }
 
   extractTopics(text, tab) {
@@ -296,24 +762,6 @@ Return only the JSON array:`;
       .filter(word => word.length > 3 && !commonWords.has(word))
       .slice(0, 5);
   }
-
-  async makeGroqRequest(payload) {
-    const response = await fetch(`${this.baseUrl}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Groq API error (${response.status}): ${error}`);
-    }
-
-    return await response.json();
-  }
 }
 
 module.exports = GroqService;
\ No newline at end of file
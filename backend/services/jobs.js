@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+
+// Asynchronous analysis jobs for tab sets too large for one request. A job is a row
+// in analysis_jobs holding the submitted tabs; it advances one batch of summaries per
+// step() and is clustered once every tab is summarized. Each step is short and saves
+// its progress, so on serverless the status polls themselves drive the job, and a job
+// whose function instance died simply resumes on the next poll once its lease expires.
+class AnalysisJobService {
+  constructor(pool, groqService, options = {}) {
+    this.pool = pool || null;
+    this.groqService = groqService;
+    // Called once when a job completes, to charge usage; returns the `usage` to report.
+    // Gets the transaction's client so charging and completing commit together
+    this.onComplete = options.onComplete || (async () => null);
+    this.batchSize = parseInt(process.env.JOB_BATCH_SIZE) || 10;
+    this.leaseSeconds = 120; // Longer than one batch can take
+    this.staleMinutes = 30; // Unpolled jobs stop counting against the concurrency cap
+    this.retentionHours = 24;
+    this.maxConcurrent = { free: 1, pro: 3, business: 10 };
+    this.activeStatuses = ['queued', 'running'];
+  }
+
+  get enabled() {
+    return !!this.pool;
+  }
+
+  concurrencyLimit(plan) {
+    const name = plan || 'free';
+    return parseInt(process.env[`MAX_CONCURRENT_JOBS_${name.toUpperCase()}`]) ||
+      this.maxConcurrent[name] || this.maxConcurrent.free;
+  }
+
+  async create(user, request) {
+    if (!this.enabled) throw new Error('Analysis jobs need a database');
+
+    await this.expireStale(user.id);
+
+    const limit = this.concurrencyLimit(user.plan);
+    const active = await this.pool.query(
+      'SELECT COUNT(*) AS count FROM analysis_jobs WHERE user_id = $1 AND status = ANY($2)',
+      [user.id, this.activeStatuses]
+    );
+    if (parseInt(active.rows[0].count) >= limit) {
+      const error = new Error(`Your plan allows ${limit} analysis job${limit === 1 ? '' : 's'} at a time`);
+      error.status = 429;
+      error.limit = limit;
+      throw error;
+    }
+
+    const result = await this.pool.query(
+      `INSERT INTO analysis_jobs (id, user_id, plan, request, tabs_total)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [crypto.randomUUID(), user.id, user.plan || 'free', JSON.stringify(request), request.tabs.length]
+    );
+    return result.rows[0];
+  }
+
+  async get(jobId, userId) {
+    if (!this.enabled) return null;
+
+    const result = await this.pool.query(
+      'SELECT * FROM analysis_jobs WHERE id = $1 AND user_id = $2',
+      [jobId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async list(userId, limit = 20) {
+    if (!this.enabled) return [];
+
+    await this.expireStale(userId);
+    const result = await this.pool.query(
+      `SELECT * FROM analysis_jobs WHERE user_id = $1
+       ORDER BY created_at DESC LIMIT $2`,
+      [userId, limit]
+    );
+    return result.rows;
+  }
+
+  async cancel(jobId, userId) {
+    if (!this.enabled) return null;
+
+    // A batch still in flight finds the job cancelled and drops its results
+    const result = await this.pool.query(
+      `UPDATE analysis_jobs
+       SET status = 'cancelled', request = NULL, lease_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND status = ANY($3)
+       RETURNING *`,
+      [jobId, userId, this.activeStatuses]
+    );
+    return result.rows[0] || this.get(jobId, userId);
+  }
+
+  async step(jobId, userId) {
+    if (!this.enabled) return null;
+
+    // Claim the job for one batch; concurrent polls skip it until the lease is released
+    const claimed = await this.pool.query(
+      `UPDATE analysis_jobs
+       SET status = 'running', lease_until = CURRENT_TIMESTAMP + $3 * INTERVAL '1 second',
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND status = ANY($4)
+         AND (lease_until IS NULL OR lease_until < CURRENT_TIMESTAMP)
+       RETURNING *`,
+      [jobId, userId, this.leaseSeconds, this.activeStatuses]
+    );
+    const job = claimed.rows[0];
+    if (!job) return this.get(jobId, userId);
+
+    try {
+      const { tabs, previousSummaries, ...options } = job.request;
+      options.plan = job.plan;
+      // Retry/rate-limit counters add up across batches for the final `stats`
+      options.stats = { ...this.groqService.createStats(), ...job.stats };
+
+      const done = new Set(job.summaries.map(summary => summary.id));
+      const batch = tabs.filter(tab => !done.has(tab.id)).slice(0, this.batchSize);
+
+      if (batch.length > 0) {
+        const summaries = await this.groqService.summarizeTabs(batch, options);
+        return await this.update(job.id,
+          `summaries = summaries || $2::jsonb, tabs_done = tabs_done + $3, stats = $4`,
+          [JSON.stringify(summaries), summaries.length, JSON.stringify(options.stats)]);
+      }
+
+      const results = await this.groqService.clusterSummaries(job.summaries, previousSummaries, options);
+      return await this.complete(job, results) || this.get(jobId, userId);
+    } catch (error) {
+      console.error(`Analysis job ${job.id} failed:`, error);
+      return await this.update(job.id,
+        `status = 'failed', error = $2, request = NULL`,
+        ['Analysis failed: ' + error.message]) || this.get(jobId, userId);
+    }
+  }
+
+  async complete(job, results) {
+    // Usage is charged in the same transaction that completes the job, so a job is never
+    // completed unbilled: a failed charge fails the job, a dead instance leaves it to be
+    // resumed by the next poll
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const usage = await this.onComplete(job, results, client);
+      // Same body as /api/analyze, so clients handle both the same way
+      const completed = await client.query(
+        `UPDATE analysis_jobs
+         SET status = 'completed', result = $2, request = NULL, lease_until = NULL,
+             completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'running'
+         RETURNING *`,
+        [job.id, JSON.stringify({ results, usage })]
+      );
+      // Cancelled while clustering: nothing to charge
+      await client.query(completed.rows[0] ? 'COMMIT' : 'ROLLBACK');
+      return completed.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async update(jobId, assignments, values, status = 'running') {
+    // Only applies while the job is still in the expected state (not cancelled meanwhile)
+    const result = await this.pool.query(
+      `UPDATE analysis_jobs
+       SET ${assignments}, lease_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = $${values.length + 2}
+       RETURNING *`,
+      [jobId, ...values, status]
+    );
+    return result.rows[0] || null;
+  }
+
+  async run(jobId, userId) {
+    // Long-running servers drive jobs to completion themselves; polls then only read
+    for (;;) {
+      const job = await this.step(jobId, userId);
+      if (!job || this.isFinished(job)) return job;
+      await this.waitForLease(job);
+    }
+  }
+
+  isFinished(job) {
+    return !this.activeStatuses.includes(job.status);
+  }
+
+  async waitForLease(job) {
+    // Another request is working on the job; give it a moment instead of spinning
+    if (job.lease_until && new Date(job.lease_until) > new Date()) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  async expireStale(userId) {
+    await this.pool.query(
+      `UPDATE analysis_jobs
+       SET status = 'failed', error = 'Job expired: no status requests for too long', request = NULL
+       WHERE user_id = $1 AND status = ANY($2)
+         AND updated_at < CURRENT_TIMESTAMP - $3 * INTERVAL '1 minute'`,
+      [userId, this.activeStatuses, this.staleMinutes]
+    );
+    await this.pool.query(
+      `DELETE FROM analysis_jobs
+       WHERE user_id = $1 AND created_at < CURRENT_TIMESTAMP - $2 * INTERVAL '1 hour'`,
+      [userId, this.retentionHours]
+    );
+  }
+
+  present(job) {
+    // Status view; tab contents and summaries are fetched separately via results()
+    return {
+      id: job.id,
+      status: job.status,
+      total: job.tabs_total,
+      completed: job.tabs_done,
+      error: job.error || null,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+      completedAt: job.completed_at || null
+    };
+  }
+
+  results(job) {
+    if (job.status === 'completed' && job.result) {
+      return { job: this.present(job), ...job.result };
+    }
+
+    // Partial results: the tabs summarized so far, not yet clustered
+    return {
+      job: this.present(job),
+      results: {
+        summaries: (job.summaries || []).filter(summary => !summary.error),
+        clusters: [],
+        partial: true
+      }
+    };
+  }
+}
+
+module.exports = AnalysisJobService;
@@ -0,0 +1,28 @@
+class LLMProvider {
+  constructor({ name, model, requestsPerMinute = 0, jsonMode = null }) {
+    this.name = name;
+    this.model = model;
+    // Default pacing for the RequestScheduler (services/scheduler.js); 0 = unlimited
+    this.requestsPerMinute = requestsPerMinute;
+    // Structured output support: 'schema' (JSON Schema), 'object' (any JSON object) or
+    // null (prompt only); LLM_JSON_MODE=schema|object|off overrides the provider default
+    const override = process.env.LLM_JSON_MODE;
+    this.jsonMode = override ? (override === 'off' ? null : override) : jsonMode;
+  }
+
+  /**
+   * Run a chat completion and return the assistant's text.
+   * `task` ('analyze' | 'cluster' | 'merge-clusters' | 'classify') and `context` describe the request for
+   * providers that do not talk to a model (e.g. the mock provider).
+   * `responseFormat` ({ name, schema }) asks for JSON matching the schema, using the
+   * provider's structured output mode if it has one (see `jsonMode`).
+   * `signal` aborts the request when the scheduler's timeout fires. Failures
+   * should carry `status` and `retryAfter` (HTTP errors) or `network: true`
+   * so the scheduler can tell which ones are worth retrying.
+   */
+  async complete({ messages, maxTokens, temperature, task, context, responseFormat, signal }) {
+    throw new Error(`Provider ${this.name} does not implement complete()`);
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,20 @@
+const OpenAICompatibleProvider = require('./openai');
+
+class GroqProvider extends OpenAICompatibleProvider {
+  constructor() {
+    super({
+      name: 'groq',
+      baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+      apiKey: process.env.GROQ_API_KEY,
+      model: process.env.GROQ_MODEL || 'llama-3.1-70b-versatile',
+      requestsPerMinute: 30, // Groq's free-tier limit; raise with LLM_REQUESTS_PER_MINUTE
+      jsonMode: 'object' // JSON Schema mode is limited to a few Groq models
+    });
+
+    if (!this.apiKey) {
+      console.warn('WARNING: GROQ_API_KEY environment variable is not set. API calls will fail.');
+    }
+  }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,27 @@
+const GroqProvider = require('./groq');
+const OpenAICompatibleProvider = require('./openai');
+const LocalProvider = require('./local');
+const MockProvider = require('./mock');
+
+const PROVIDERS = {
+  groq: GroqProvider,
+  openai: OpenAICompatibleProvider,
+  local: LocalProvider,
+  mock: MockProvider
+};
+
+function createProvider(name) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return new Provider();
+}
+
+// LLM_PROVIDER picks the deployment default; LLM_PROVIDER_<PLAN> overrides it per plan
+function resolveProviderName(plan) {
+  const planOverride = plan && process.env[`LLM_PROVIDER_${plan.toUpperCase()}`];
+  return planOverride || process.env.LLM_PROVIDER || 'groq';
+}
+
+module.exports = { createProvider, resolveProviderName, PROVIDERS };
@@ -0,0 +1,16 @@
+const OpenAICompatibleProvider = require('./openai');
+
+// Local Ollama or llama.cpp server through their OpenAI-compatible endpoint (no API key)
+class LocalProvider extends OpenAICompatibleProvider {
+  constructor() {
+    super({
+      name: 'local',
+      baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LOCAL_LLM_API_KEY,
+      model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+      jsonMode: 'object'
+    });
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,87 @@
+const LLMProvider = require('./base');
+
+// Deterministic provider for tests and local development - never calls a model
+class MockProvider extends LLMProvider {
+  constructor() {
+    super({ name: 'mock', model: 'mock' });
+  }
+
+  async complete({ task, context = {} }) {
+    switch (task) {
+      case 'analyze':
+        return JSON.stringify(this.mockAnalysis(context.tab || {}, context.rubric));
+      case 'cluster':
+        return JSON.stringify({ clusters: this.mockClusters(context.tabSummaries || []) });
+      case 'merge-clusters':
+        return JSON.stringify({ clusters: this.mockMerge(context.groups || []) });
+      case 'classify':
+        return JSON.stringify(this.mockClassification(context.tab || {}, context.clusters || []));
+      default:
+        throw new Error(`Mock provider has no response for task: ${task}`);
+    }
+  }
+
+  mockAnalysis(tab, rubric = { criteria: [] }) {
+    const url = tab.url || '';
+    const checksum = Array.from(url).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    const subScores = {};
+    rubric.criteria.forEach((criterion, index) => {
+      subScores[criterion.id] = ((checksum + index) % 5) + 1;
+    });
+
+    return {
+      summary: `${tab.title || url} - ${tab.metaDescription || 'Web page content'}`,
+      subScores,
+      priorityScore: (checksum % 5) + 1,
+      priorityRationale: 'Deterministic mock analysis',
+      topics: (tab.title || '').toLowerCase().split(/\W+/).filter(word => word.length > 3).slice(0, 3)
+    };
+  }
+
+  mockClassification(tab, clusters) {
+    // Same host-based grouping as mockClusters
+    const host = this.hostOf(tab.url);
+    const existing = clusters.find(cluster => cluster.name === host);
+    return existing
+      ? { cluster: existing.name, isNew: false }
+      : { cluster: host, isNew: true, description: `Pages from ${host}` };
+  }
+
+  hostOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      // Keep invalid URLs together
+      return 'other';
+    }
+  }
+
+  mockMerge(groups) {
+    // Chunk clusters are named by host, so the same name means the same final cluster
+    const merged = new Map();
+    groups.forEach(group => {
+      if (!merged.has(group.name)) {
+        merged.set(group.name, { name: group.name, description: group.description, groups: [] });
+      }
+      merged.get(group.name).groups.push(group.key);
+    });
+    return Array.from(merged.values());
+  }
+
+  mockClusters(tabSummaries) {
+    const clusters = new Map();
+
+    tabSummaries.forEach(tab => {
+      const host = this.hostOf(tab.url);
+
+      if (!clusters.has(host)) {
+        clusters.set(host, { name: host, description: `Pages from ${host}`, tabIds: [] });
+      }
+      clusters.get(host).tabIds.push(tab.id);
+    });
+
+    return Array.from(clusters.values());
+  }
+}
+
+module.exports = MockProvider;
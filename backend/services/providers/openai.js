@@ -0,0 +1,72 @@
+const LLMProvider = require('./base');
+
+// Any endpoint speaking the OpenAI /chat/completions shape
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor({
+    name = 'openai',
+    baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    requestsPerMinute = 0,
+    jsonMode = 'schema'
+  } = {}) {
+    super({ name, model, requestsPerMinute, jsonMode });
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+  }
+
+  async complete({ messages, maxTokens, temperature, responseFormat, signal }) {
+    const format = this.formatFor(responseFormat);
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+        },
+        body: JSON.stringify({
+          model: this.model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          ...(format && { response_format: format })
+        }),
+        signal
+      });
+    } catch (error) {
+      error.network = error.name !== 'AbortError';
+      throw error;
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      if (format && response.status === 400 && /response_format|json_schema|json_object/i.test(text)) {
+        // Endpoint or model without this structured output mode: fall back to prompt-only JSON
+        console.warn(`${this.name} rejected response_format (${this.jsonMode}); disabling it:`, text);
+        this.jsonMode = null;
+        return this.complete({ messages, maxTokens, temperature, signal });
+      }
+      const error = new Error(`${this.name} API error (${response.status}): ${text}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+
+    const data = await response.json();
+    return data.choices[0].message.content.trim();
+  }
+
+  formatFor(responseFormat) {
+    if (!responseFormat || !this.jsonMode) return null;
+    if (this.jsonMode === 'schema') {
+      return {
+        type: 'json_schema',
+        json_schema: { name: responseFormat.name, schema: responseFormat.schema }
+      };
+    }
+    return { type: 'json_object' };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,123 @@
+// Per-user priority rubric: weighted criteria that each get a 1-5 sub-score (1 = highest
+// priority). The priority prompt and the validation of its response are generated from
+// the rubric, and priorityScore is the weighted average of the sub-scores.
+// The extension loads this same file for direct mode and the options page, so it stays
+// free of Node APIs and only exports when there is a module.
+class PriorityRubric {
+  constructor() {
+    this.maxCriteria = 8;
+    this.defaultCriteria = [
+      {
+        id: 'learning',
+        name: 'Learning value',
+        description: 'Depth of content (comprehensive vs superficial), uniqueness of knowledge (rare insights vs common info), longevity (evergreen vs ephemeral content), technical rigor (well-researched vs casual)',
+        weight: 1
+      },
+      {
+        id: 'utility',
+        name: 'Utility value',
+        description: 'Practical applicability (can be applied immediately), reusability (code, frameworks, APIs, papers, templates), actionability (clear next steps vs passive reading), educational value (teaches skills vs entertains)',
+        weight: 1
+      }
+    ];
+  }
+
+  defaults() {
+    return { criteria: this.defaultCriteria.map(criterion => ({ ...criterion })) };
+  }
+
+  slug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'criterion';
+  }
+
+  sanitize(rubric) {
+    // Strict: used when a user saves a rubric, so problems are reported instead of fixed
+    if (!rubric || typeof rubric !== 'object' || !Array.isArray(rubric.criteria)) {
+      throw new Error('Rubric must have a criteria array');
+    }
+    if (rubric.criteria.length === 0 || rubric.criteria.length > this.maxCriteria) {
+      throw new Error(`Rubric needs between 1 and ${this.maxCriteria} criteria`);
+    }
+
+    const ids = new Set();
+    const criteria = rubric.criteria.map((criterion, index) => {
+      const name = String(criterion?.name || '').trim().slice(0, 60);
+      if (!name) throw new Error(`Criterion ${index + 1} needs a name`);
+
+      const weight = Number(criterion.weight ?? 1);
+      if (!Number.isFinite(weight) || weight < 0.1 || weight > 10) {
+        throw new Error(`Weight of "${name}" must be between 0.1 and 10`);
+      }
+
+      // Ids key the sub-scores, so they must be unique and stable across renames
+      let id = this.slug(String(criterion.id || name));
+      if (ids.has(id)) id = this.slug(name);
+      for (let n = 2; ids.has(id); n++) id = `${this.slug(name)}-${n}`;
+      ids.add(id);
+
+      return {
+        id,
+        name,
+        description: String(criterion.description || '').trim().slice(0, 300),
+        weight: Math.round(weight * 10) / 10
+      };
+    });
+
+    return { criteria };
+  }
+
+  resolve(rubric) {
+    // Lenient: stored rubrics that no longer validate fall back to the default
+    if (!rubric) return this.defaults();
+    try {
+      return this.sanitize(typeof rubric === 'string' ? JSON.parse(rubric) : rubric);
+    } catch (error) {
+      console.error('Invalid stored priority rubric, using default:', error.message);
+      return this.defaults();
+    }
+  }
+
+  describe(rubric) {
+    const lines = rubric.criteria.map(criterion =>
+      `   - "${criterion.id}": ${criterion.name} (weight ${criterion.weight})${criterion.description ? ` - ${criterion.description}` : ''}`
+    );
+    return `2. A sub-score for each of these criteria (1-5, where 1 = highest priority; higher weights count more):
+${lines.join('\n')}
+   and an overall Priority Score (1-5) that reflects the weighted sub-scores
+`;
+  }
+
+  responseFormat(rubric) {
+    const subScores = rubric.criteria.map(criterion => `"${criterion.id}": 1-5`).join(', ');
+    return `{
+  "summary": "...",
+  "subScores": { ${subScores} },
+  "priorityScore": 1-5,
+  "priorityRationale": "...",
+  "topics": ["topic1", "topic2", "topic3"]
+}`;
+  }
+
+  score(parsed, rubric) {
+    // Every criterion gets a valid sub-score (missing ones fall back to the model's
+    // overall score); the overall score is recomputed so the weights always apply
+    const overall = this.clamp(parsed.priorityScore);
+    const raw = parsed.subScores && typeof parsed.subScores === 'object' ? parsed.subScores : {};
+
+    const subScores = {};
+    rubric.criteria.forEach(criterion => {
+      subScores[criterion.id] = raw[criterion.id] !== undefined ? this.clamp(raw[criterion.id]) : overall;
+    });
+
+    const totalWeight = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const weighted = rubric.criteria.reduce((sum, criterion) => sum + subScores[criterion.id] * criterion.weight, 0);
+
+    return { priorityScore: this.clamp(Math.round(weighted / totalWeight)), subScores };
+  }
+
+  clamp(value) {
+    return Math.min(5, Math.max(1, parseInt(value) || 3));
+  }
+}
+
+if (typeof module !== 'undefined') module.exports = PriorityRubric;
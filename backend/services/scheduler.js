@@ -0,0 +1,154 @@
+// Paces LLM calls for one provider: at most `concurrency` requests in flight, a token
+// bucket refilled at `requestsPerMinute`, a timeout per attempt, and exponential
+// backoff (honoring Retry-After) for rate limits, 5xx responses, timeouts and network
+// errors. Shared by every request the backend serves, since the provider's limits are too.
+class RequestScheduler {
+  constructor(options = {}) {
+    // Options carry the provider's defaults; LLM_* environment variables override them
+    const setting = (name, fallback) => {
+      const value = parseInt(process.env[name]);
+      return Number.isFinite(value) ? value : fallback;
+    };
+
+    this.concurrency = Math.max(1, setting('LLM_MAX_CONCURRENCY', options.concurrency ?? 4));
+    // 0 disables pacing (local servers and the mock provider have no rate limits)
+    this.requestsPerMinute = Math.max(0, setting('LLM_REQUESTS_PER_MINUTE', options.requestsPerMinute ?? 0));
+    this.burst = Math.max(1, Math.min(this.concurrency, this.requestsPerMinute || 1));
+    this.timeoutMs = Math.max(1000, setting('LLM_TIMEOUT_MS', options.timeoutMs ?? 30000));
+    this.maxRetries = Math.max(0, setting('LLM_MAX_RETRIES', options.maxRetries ?? 3));
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 30000;
+
+    this.active = 0;
+    this.queue = [];
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0; // A Retry-After from the provider holds back every queued call
+    this.wakeTimer = null;
+  }
+
+  // Counters for one analysis, filled in by schedule() and returned in `stats`
+  static createStats() {
+    return { retries: 0, rateLimited: 0, timeouts: 0, failedCalls: 0 };
+  }
+
+  // Provider whose complete() goes through the scheduler and counts into `stats`
+  wrap(provider, stats = RequestScheduler.createStats()) {
+    return {
+      name: provider.name,
+      model: provider.model,
+      stats, // Also collects StructuredOutput's repair counts for the same analysis
+      complete: request => this.schedule(signal => provider.complete({ ...request, signal }), stats)
+    };
+  }
+
+  async schedule(fn, stats = RequestScheduler.createStats()) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.runSlot(fn);
+      } catch (error) {
+        if (error.status === 429) stats.rateLimited++;
+        if (error.timeout) stats.timeouts++;
+
+        if (attempt >= this.maxRetries || !this.isRetryable(error)) {
+          stats.failedCalls++;
+          throw error;
+        }
+
+        stats.retries++;
+        const delay = this.retryDelay(error, attempt);
+        if (error.status === 429) {
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  runSlot(fn) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ fn, resolve, reject });
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      const wait = this.waitTime();
+      if (wait > 0) {
+        if (!this.wakeTimer) {
+          this.wakeTimer = setTimeout(() => {
+            this.wakeTimer = null;
+            this.drain();
+          }, wait);
+        }
+        return;
+      }
+
+      if (this.requestsPerMinute > 0) this.tokens--;
+      const { fn, resolve, reject } = this.queue.shift();
+      this.active++;
+      this.attempt(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  waitTime() {
+    const now = Date.now();
+    if (this.pausedUntil > now) return this.pausedUntil - now;
+    if (this.requestsPerMinute === 0) return 0;
+
+    const perToken = 60000 / this.requestsPerMinute;
+    const refilled = Math.floor((now - this.lastRefill) / perToken);
+    if (refilled > 0) {
+      this.tokens = Math.min(this.burst, this.tokens + refilled);
+      this.lastRefill += refilled * perToken;
+    }
+    return this.tokens > 0 ? 0 : Math.ceil(this.lastRefill + perToken - now);
+  }
+
+  attempt(fn) {
+    // The signal lets fetch-based providers abort; the race covers ones that ignore it
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        const error = new Error(`LLM request timed out after ${this.timeoutMs}ms`);
+        error.timeout = true;
+        reject(error);
+      }, this.timeoutMs);
+    });
+
+    return Promise.race([fn(controller.signal), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  isRetryable(error) {
+    if (error.timeout) return true;
+    if (error.status) return error.status === 429 || error.status >= 500;
+    return !!error.network; // Set by providers when the request never got a response
+  }
+
+  retryDelay(error, attempt) {
+    const retryAfter = this.parseRetryAfter(error.retryAfter);
+    if (retryAfter !== null) return Math.min(this.maxDelayMs, retryAfter);
+
+    const backoff = this.baseDelayMs * 2 ** attempt;
+    return Math.min(this.maxDelayMs, backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  parseRetryAfter(value) {
+    // Either delay-seconds or an HTTP date
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,62 @@
+// JSON Schemas for the model responses GroqService parses. They are sent to providers
+// with a structured output mode and checked by StructuredOutput (structured-output.js)
+// either way. Cluster lists are wrapped in an object because JSON modes need one at the root.
+
+function tabAnalysisSchema(rubric) {
+  const score = { type: 'number', minimum: 1, maximum: 5 };
+  const ids = rubric.criteria.map(criterion => criterion.id);
+
+  return {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      subScores: {
+        type: 'object',
+        properties: Object.fromEntries(ids.map(id => [id, score])),
+        required: ids
+      },
+      priorityScore: score,
+      priorityRationale: { type: 'string' },
+      topics: { type: 'array', items: { type: 'string' }, maxItems: 10 }
+    },
+    required: ['summary', 'subScores', 'priorityScore', 'priorityRationale', 'topics']
+  };
+}
+
+// `members` is the key holding a cluster's contents: "tabIds" (tab ids) or "groups" (merge keys)
+function clusterListSchema(members = 'tabIds', depth = 0) {
+  const cluster = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      [members]: { type: 'array', items: { type: members === 'tabIds' ? 'integer' : 'string' } }
+    },
+    required: ['name', members]
+  };
+  if (depth > 0) {
+    // Nested clusters may hold only sub-clusters, so their own members become optional
+    cluster.properties.subClusters = clusterListSchema(members, depth - 1).properties.clusters;
+    cluster.required = ['name'];
+  }
+
+  return {
+    type: 'object',
+    properties: {
+      clusters: { type: 'array', items: cluster }
+    },
+    required: ['clusters']
+  };
+}
+
+const classificationSchema = {
+  type: 'object',
+  properties: {
+    cluster: { type: 'string', minLength: 1 },
+    isNew: { type: 'boolean' },
+    description: { type: 'string' }
+  },
+  required: ['cluster']
+};
+
+module.exports = { tabAnalysisSchema, clusterListSchema, classificationSchema };
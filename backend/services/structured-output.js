@@ -0,0 +1,166 @@
+// Gets JSON matching a schema out of a model. Each response is parsed and validated;
+// an invalid one is sent back to the model with the validation errors (up to
+// `maxRepairs` times) before the caller falls back. Counters per response kind show
+// how often repairs and fallbacks were needed.
+class StructuredOutput {
+  constructor(options = {}) {
+    const maxRepairs = parseInt(process.env.LLM_MAX_REPAIRS);
+    this.maxRepairs = Math.max(0, Number.isFinite(maxRepairs) ? maxRepairs : (options.maxRepairs ?? 2));
+    this.metrics = {};
+  }
+
+  // Per-analysis counters, kept next to the RequestScheduler's in the same stats object
+  static createStats() {
+    return { repairs: 0, fallbacks: 0 };
+  }
+
+  async complete(provider, request, { name, schema }, stats = StructuredOutput.createStats()) {
+    let messages = request.messages;
+
+    for (let attempt = 0; ; attempt++) {
+      const content = await provider.complete({ ...request, messages, responseFormat: { name, schema } });
+      try {
+        const value = this.parse(content, schema);
+        this.record(name, attempt > 0 ? 'repaired' : 'valid');
+        return value;
+      } catch (error) {
+        if (!error.invalidOutput) throw error;
+
+        if (attempt >= this.maxRepairs) {
+          this.record(name, 'fallback');
+          stats.fallbacks = (stats.fallbacks || 0) + 1;
+          throw error;
+        }
+
+        stats.repairs = (stats.repairs || 0) + 1;
+        messages = [
+          ...messages,
+          { role: 'assistant', content },
+          { role: 'user', content: this.repairPrompt(error) }
+        ];
+      }
+    }
+  }
+
+  repairPrompt(error) {
+    return `Your previous response could not be used. ${error.message}.
+Reply again with ONLY the corrected JSON, no other text.`;
+  }
+
+  parse(text, schema) {
+    let value;
+    try {
+      value = JSON.parse(this.extractJson(String(text)));
+    } catch (parseError) {
+      throw this.invalid(`It is not valid JSON (${parseError.message})`);
+    }
+
+    const errors = this.validate(value, schema);
+    if (errors.length > 0) {
+      throw this.invalid(`It does not match the expected format: ${errors.slice(0, 5).join('; ')}`);
+    }
+    return value;
+  }
+
+  extractJson(text) {
+    // Whole response, else a fenced code block, else the first balanced object or array
+    // (a greedy regex would swallow trailing prose that happens to contain a bracket)
+    const trimmed = text.trim();
+    if (/^[[{]/.test(trimmed)) return trimmed;
+
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenced) return fenced[1].trim();
+
+    const start = trimmed.search(/[[{]/);
+    if (start === -1) return trimmed;
+
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < trimmed.length; i++) {
+      const char = trimmed[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if ((char === '}' || char === ']') && --depth === 0) {
+        return trimmed.slice(start, i + 1);
+      }
+    }
+    return trimmed.slice(start);
+  }
+
+  // The JSON Schema subset used by schemas.js: type, properties, required, items,
+  // minItems/maxItems, minLength, minimum/maximum and enum
+  validate(value, schema, path = '$') {
+    if (schema.type && !this.hasType(value, schema.type)) {
+      return [`${path} should be of type ${schema.type}`];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${path} should not be empty`);
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} allows at most ${schema.maxItems} items`);
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...this.validate(item, schema.items, `${path}[${index}]`)));
+      }
+    } else if (value && typeof value === 'object') {
+      (schema.required || [])
+        .filter(key => value[key] === undefined)
+        .forEach(key => errors.push(`${path}.${key} is missing`));
+      Object.entries(schema.properties || {})
+        .filter(([key]) => value[key] !== undefined)
+        .forEach(([key, propertySchema]) => errors.push(...this.validate(value[key], propertySchema, `${path}.${key}`)));
+    }
+
+    return errors;
+  }
+
+  hasType(value, type) {
+    switch (type) {
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      default: return typeof value === type;
+    }
+  }
+
+  invalid(reason) {
+    const error = new Error(reason);
+    error.invalidOutput = true;
+    return error;
+  }
+
+  record(name, outcome) {
+    if (!this.metrics[name]) this.metrics[name] = { valid: 0, repaired: 0, fallback: 0 };
+    this.metrics[name][outcome]++;
+  }
+
+  // Process-wide counts since startup, plus the share of responses that needed help
+  getMetrics() {
+    return Object.fromEntries(Object.entries(this.metrics).map(([name, counts]) => {
+      const total = counts.valid + counts.repaired + counts.fallback;
+      return [name, {
+        ...counts,
+        repairRate: total ? Math.round(counts.repaired / total * 1000) / 1000 : 0,
+        fallbackRate: total ? Math.round(counts.fallback / total * 1000) / 1000 : 0
+      }];
+    }));
+  }
+}
+
+module.exports = StructuredOutput;
@@ -3,81 +3,390 @@ class TabManager {
     this.tabs = new Map();
     this.tabSummaries = new Map();
     this.clusters = [];
-    this.isAnalyzing = false;
+    this.fingerprints = new Map();
+    this.localClusterer = new TabClusterer();
+    this.siteExtractors = new SiteExtractors();
+    this.privacyFilter = new PrivacyFilter();
+    this.duplicateDetector = new DuplicateDetector();
+    this.maxSnapshots = 10; // Bounded undo history kept in storage
+    this.extractionConcurrency = 4;
+    this.extractionTimeout = 10000; // Per tab, in ms
+    this.currentExtraction = null;
+    this.classifyQueue = Promise.resolve();
   }
 
   async getAllTabs() {
     return new Promise((resolve) => {
       browser.tabs.query({}, (tabs) => {
-        resolve(tabs.filter(tab => 
-          !tab.url.startsWith('chrome://') && 
-          !tab.url.startsWith('about:') &&
-          !tab.url.startsWith('moz-extension://')
-        ));
+        resolve(tabs.filter(tab => this.isAnalyzable(tab)));
       });
     });
   }
 
+  isAnalyzable(tab) {
+    return !tab.url.startsWith('chrome://') &&
+      !tab.url.startsWith('about:') &&
+      !tab.url.startsWith('moz-extension://');
+  }
+
   async extractTabContent(tab) {
+    // PDFs, videos, GitHub and Stack Exchange get specialized extractors first
+    const special = await this.siteExtractors.extract(tab);
+    if (special) return special;
+
     try {
-      const results = await browser.tabs.executeScript(tab.id, {
-        code: `
-          ({
-            title: document.title,
-            url: window.location.href,
-            metaDescription: document.querySelector('meta[name="description"]')?.content || '',
-            headings: Array.from(document.querySelectorAll('h1, h2, h3')).slice(0, 5).map(h => h.textContent.trim()),
-            textContent: document.body.innerText.slice(0, 2000)
-          })
-        `
-      });
+      // Main-article text plus author/date/OpenGraph/JSON-LD metadata, code and reading time
+      const results = await browser.tabs.executeScript(tab.id, { file: '/src/content/extractor.js' });
       return results[0];
     } catch (error) {
+      // Injection fails in the built-in PDF viewer, whatever the URL looks like
+      if (await this.siteExtractors.isPdf(tab)) {
+        const pdf = await this.siteExtractors.extractPdf(tab).catch(() => null);
+        if (pdf) return pdf;
+      }
+      throw error;
+    }
+  }
+
+  titleOnlyContent(tab) {
+    return {
+      title: tab.title,
+      url: tab.url,
+      metaDescription: '',
+      headings: [],
+      textContent: ''
+    };
+  }
+
+  withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async loadDiscardedTab(tab) {
+    // Reloading a discarded tab loads it; wait (bounded) for it to finish
+    await browser.tabs.reload(tab.id);
+    const deadline = Date.now() + this.extractionTimeout;
+    while (Date.now() < deadline) {
+      const current = await browser.tabs.get(tab.id);
+      if (current.status === 'complete') return current;
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('Timed out loading tab');
+  }
+
+  async extractOne(tab, { loadDiscarded, privacy }) {
+    // Never throws: failures and skips fall back to title-only data so the tab still clusters
+    if (this.privacyFilter.isBlocked(tab.url, privacy)) {
+      // Blocked sites are never read; 'exclude' drops them from the analysis altogether
       return {
-        title: tab.title,
-        url: tab.url,
-        metaDescription: '',
-        headings: [],
-        textContent: ''
+        content: this.titleOnlyContent(tab),
+        status: 'skipped',
+        reason: 'blocked',
+        exclude: privacy.blockedAction === 'exclude'
       };
     }
+
+    if (tab.discarded && !loadDiscarded) {
+      // API-backed extractors (PDF, GitHub, Stack Exchange) don't need the page loaded
+      const special = await this.withTimeout(this.siteExtractors.extract(tab), this.extractionTimeout, 'Timed out')
+        .catch(() => null);
+      return special
+        ? { content: special, status: 'extracted' }
+        : { content: this.titleOnlyContent(tab), status: 'skipped', reason: 'unloaded' };
+    }
+
+    try {
+      let target = tab;
+      if (tab.discarded) {
+        target = await this.loadDiscardedTab(tab);
+      }
+      const content = await this.withTimeout(this.extractTabContent(target), this.extractionTimeout, 'Timed out extracting tab');
+      if (tab.discarded) {
+        // Put the tab back to sleep once we have its content
+        browser.tabs.discard(tab.id).catch(() => {});
+      }
+      return { content: content || this.titleOnlyContent(tab), status: 'extracted' };
+    } catch (error) {
+      return { content: this.titleOnlyContent(tab), status: 'failed', reason: error.message };
+    }
+  }
+
+  cancelExtraction() {
+    if (!this.currentExtraction) return { success: false, error: 'No extraction running' };
+    this.currentExtraction.cancelled = true;
+    return { success: true };
+  }
+
+  hashContent(text) {
+    // FNV-1a (32-bit) - only used to detect content changes, not for security
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  createFingerprint(content) {
+    const text = [
+      content.title,
+      content.metaDescription,
+      (content.headings || []).join('|'),
+      content.textContent
+    ].join('\n');
+
+    return { url: content.url, hash: this.hashContent(text) };
   }
 
   async extractAllTabs() {
-    // Only extract content, don't analyze (analysis done by backend)
-    if (this.isAnalyzing) return [];
-    
-    this.isAnalyzing = true;
+    // Only extract content, don't analyze (analysis done by backend).
+    // A second caller shares the extraction already in flight.
+    if (this.currentExtraction) return this.currentExtraction.promise;
+
+    const job = { cancelled: false };
+    job.promise = this.runExtraction(job).finally(() => {
+      this.currentExtraction = null;
+    });
+    this.currentExtraction = job;
+    return job.promise;
+  }
+
+  async runExtraction(job) {
     const tabs = await this.getAllTabs();
-    const tabData = [];
+    const { loadDiscardedTabs, privacy } = await settingsStore.get();
+    const results = new Array(tabs.length);
+    const counts = { extracted: 0, skipped: 0, failed: 0 };
+    let next = 0;
+    let done = 0;
 
     this.broadcastUpdate('extraction-started', { total: tabs.length });
 
-    for (let i = 0; i < tabs.length; i++) {
-      const tab = tabs[i];
-      const content = await this.extractTabContent(tab);
-      tabData.push({
+    // Bounded pool of workers pulling from a shared index, so one hung page
+    // only ties up one slot until its timeout
+    const worker = async () => {
+      while (next < tabs.length && !job.cancelled) {
+        const index = next++;
+        results[index] = await this.extractOne(tabs[index], { loadDiscarded: loadDiscardedTabs, privacy });
+        counts[results[index].status]++;
+        done++;
+        this.broadcastUpdate('extraction-progress', { current: done, total: tabs.length, ...counts });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.extractionConcurrency, tabs.length) }, worker));
+
+    if (job.cancelled) {
+      this.broadcastUpdate('extraction-cancelled', { current: done, total: tabs.length, ...counts });
+      throw new Error('Extraction cancelled');
+    }
+
+    const tabData = tabs
+      .map((tab, i) => ({
         id: tab.id,
         favIconUrl: tab.favIconUrl,
-        ...content
-      });
-      this.broadcastUpdate('extraction-progress', { current: i + 1, total: tabs.length });
-    }
+        ...results[i].content,
+        fingerprint: this.createFingerprint(results[i].content)
+      }))
+      .filter((tab, i) => !results[i].exclude);
 
     this.tabs = new Map(tabData.map(tab => [tab.id, tab]));
-    this.isAnalyzing = false;
-    this.broadcastUpdate('extraction-complete', { count: tabData.length });
+    this.fingerprints = new Map(tabData.map(tab => [tab.id, tab.fingerprint]));
+    await this.storeContentSignatures(tabData);
+    this.broadcastUpdate('extraction-complete', {
+      count: tabData.length,
+      ...counts,
+      problems: tabs
+        .map((tab, i) => ({ id: tab.id, title: tab.title, status: results[i].status, reason: results[i].reason }))
+        .filter(problem => problem.status !== 'extracted')
+    });
     
     return tabData;
   }
 
-  async storeResults(summaries, clusters) {
-    // Store results from backend analysis
+  async storeContentSignatures(tabData) {
+    // Stored with the URL they were taken from, like fingerprints, so findDuplicates
+    // can compare content later without reading the pages again
+    const contentSignatures = {};
+    tabData.forEach(tab => {
+      const signature = this.duplicateDetector.signature(tab);
+      if (signature) contentSignatures[tab.id] = { url: tab.url, signature };
+    });
+    await browser.storage.local.set({ contentSignatures });
+  }
+
+  async extractChangedTabs() {
+    // Split tabs into ones that need a fresh summary and ones whose stored
+    // summary still matches their content fingerprint
+    const tabData = await this.extractAllTabs();
+    const stored = await browser.storage.local.get(['tabSummaries', 'tabFingerprints']);
+
+    const previousById = new Map((stored.tabSummaries || []).map(summary => [summary.id, summary]));
+    const previousByFingerprint = new Map();
+    Object.entries(stored.tabFingerprints || {}).forEach(([tabId, fingerprint]) => {
+      const summary = previousById.get(Number(tabId));
+      if (summary) {
+        previousByFingerprint.set(`${fingerprint.url}|${fingerprint.hash}`, summary);
+      }
+    });
+
+    const changedTabs = [];
+    const previousSummaries = [];
+
+    tabData.forEach(tab => {
+      const previous = previousByFingerprint.get(`${tab.fingerprint.url}|${tab.fingerprint.hash}`);
+      if (previous) {
+        // Tab ids change across browser restarts, so re-key onto the current tab
+        previousSummaries.push({ ...previous, id: tab.id });
+      } else {
+        changedTabs.push(tab);
+      }
+    });
+
+    // Everything below is exactly what gets uploaded (see 'preview-upload')
+    const privacy = await this.privacyFilter.getSettings();
+    const { clusterConstraints } = await browser.storage.local.get('clusterConstraints');
+
+    return {
+      changedTabs: changedTabs.map(({ fingerprint, ...tab }) => this.privacyFilter.redactTab(tab, privacy)),
+      previousSummaries: previousSummaries.map(summary => this.privacyFilter.redactSummary(summary, privacy)),
+      constraints: this.privacyFilter.redactConstraints(clusterConstraints || null, privacy),
+      total: tabData.length
+    };
+  }
+
+  async previewUpload() {
+    const { changedTabs, previousSummaries, constraints } = await this.extractChangedTabs();
+    return { tabs: changedTabs, previousSummaries, constraints };
+  }
+
+  async analyzeLocally() {
+    // Private/offline mode: cluster with TF-IDF in the browser, nothing is sent anywhere
+    const tabData = await this.extractAllTabs();
+
+    const summaries = tabData.map(tab => ({
+      id: tab.id,
+      title: tab.title,
+      url: tab.url,
+      favIconUrl: tab.favIconUrl,
+      summary: tab.metaDescription || (tab.textContent || '').slice(0, 200) || tab.title,
+      priorityScore: 3,
+      priorityRationale: 'Not scored in private mode',
+      topics: this.localClusterer.topTerms(tab)
+    }));
+
+    const { clusterCount } = await settingsStore.get();
+    const clusterer = new TabClusterer({ minClusters: clusterCount.min, maxClusters: clusterCount.max });
+    const { clusterConstraints } = await browser.storage.local.get('clusterConstraints');
+    const clusters = this.applyUserConstraints(clusterer.cluster(tabData), summaries, clusterConstraints)
+      .map(cluster => ({ ...cluster, clusterPriority: 3 }));
+
+    await this.storeResults(summaries, clusters, { source: 'local' });
+    return { summaries, clusters };
+  }
+
+  async analyzeWithBackend() {
+    // Runs here rather than in the popup so closing the popup doesn't abort the request
+    const extraction = await this.extractChangedTabs();
+    const { changedTabs, previousSummaries, total } = extraction;
+    if (total === 0 || changedTabs.length === 0) {
+      await this.pruneClosedTabs();
+      return { results: null, processed: 0, reused: previousSummaries.length, total };
+    }
+
+    const result = await this.runBackendAnalysis(extraction);
+    return { ...result, processed: changedTabs.length, reused: previousSummaries.length, total };
+  }
+
+  async runBackendAnalysis({ changedTabs, previousSummaries, constraints }) {
+    // Streamed, so the popup and sidebar can follow each tab as the backend finishes it.
+    // Only counts are relayed: the summaries still carry redacted titles at this point
+    const result = await backendAPI.analyzeTabs(changedTabs, previousSummaries, constraints, {
+      onProgress: ({ stage, current, total }) => this.broadcastUpdate('analysis-progress', { stage, current, total })
+    });
+
+    await this.storeResults(result.results.summaries, result.results.clusters);
+    return result;
+  }
+
+  async analyzeDirect() {
+    // Direct mode: the user's own API key (or local server) instead of the backend
+    // account. Same incremental extraction and privacy filter as the backend path
+    if (!(await aiService.isConfigured())) {
+      throw new Error('Add an API key or a local server URL in Settings to use direct mode');
+    }
+
+    const { changedTabs, previousSummaries, constraints, total } = await this.extractChangedTabs();
+    if (total === 0 || changedTabs.length === 0) {
+      await this.pruneClosedTabs();
+      return { summaries: [], clusters: [], processed: 0, reused: previousSummaries.length, total };
+    }
+
+    const { clusterCount, nestedClusters, priorityRubric } = await settingsStore.get();
+    const result = await aiService.analyzeTabs(changedTabs, previousSummaries,
+      { clusterCount, nestedClusters, rubric: priorityRubric });
+    const clusters = aiService.validateAndSortClusters(
+      this.applyUserConstraints(result.clusters, result.summaries, constraints),
+      result.summaries
+    );
+
+    await this.storeResults(result.summaries, clusters, { source: 'direct' });
+    return { ...result, clusters, total };
+  }
+
+  applyUserConstraints(clusters, summaries, constraints) {
+    // Manual sidebar edits win over the clusterer (mirrors GroqService on the backend)
+    if (!constraints || !constraints.assignments) return clusters;
+
+    const pinned = new Map();
+    summaries.forEach(tab => {
+      const name = constraints.assignments[tab.url];
+      if (name) pinned.set(tab.id, name);
+    });
+    if (pinned.size === 0) return clusters;
+
+    const result = clusters.map(cluster =>
+      this.mapClusterTabs(cluster, tabIds => tabIds.filter(id => !pinned.has(id)))
+    );
+
+    pinned.forEach((name, tabId) => {
+      let cluster = result.find(c => c.name === name);
+      if (!cluster) {
+        const userCluster = (constraints.clusters || []).find(c => c.name === name);
+        cluster = { name, description: userCluster?.description || 'Your cluster', tabIds: [] };
+        result.push(cluster);
+      }
+      cluster.tabIds.push(tabId);
+    });
+
+    return result.filter(cluster => cluster.tabIds.length > 0);
+  }
+
+  async storeResults(summaries, clusters, { source = 'backend' } = {}) {
+    // Store results from backend (or local) analysis. The backend only saw redacted
+    // titles/URLs, so restore the real ones from the local extraction where we have it
+    summaries = summaries.map(summary => {
+      const local = this.tabs.get(summary.id);
+      return local ? { ...summary, title: local.title, url: local.url } : summary;
+    });
     this.tabSummaries = new Map(summaries.map(tab => [tab.id, tab]));
     this.clusters = clusters;
+
+    // Only AI-summarized tabs get a fingerprint, so failed tabs and unscored
+    // local results are re-analyzed on the next backend run
+    const tabFingerprints = {};
+    summaries.forEach(summary => {
+      const fingerprint = this.fingerprints.get(summary.id);
+      if (fingerprint && source !== 'local') {
+        tabFingerprints[summary.id] = fingerprint;
+      }
+    });
     
     await browser.storage.local.set({
       tabSummaries: summaries,
+      tabFingerprints,
       clusters: clusters,
       lastAnalysis: Date.now()
     });
@@ -88,6 +397,103 @@ class TabManager {
     });
   }
 
+  classifyNewTab(tabId) {
+    return this.queueClassification(() => this.classifyOne(tabId));
+  }
+
+  queueClassification(task) {
+    // One at a time: tabs restored or opened in bulk would otherwise overwrite each other's results
+    const run = this.classifyQueue.then(task);
+    this.classifyQueue = run.catch(() => {});
+    return run;
+  }
+
+  async classifyOne(tabId) {
+    // Sort one newly loaded tab into the stored clusters instead of re-clustering everything
+    const stored = await browser.storage.local.get(['clusters', 'tabSummaries', 'tabFingerprints']);
+    const clusters = stored.clusters || [];
+    if (clusters.length === 0) return { skipped: true, reason: 'no clusters yet' };
+
+    const tab = await browser.tabs.get(tabId);
+    if (!this.isAnalyzable(tab)) return { skipped: true, reason: 'not analyzable' };
+
+    const privacy = await this.privacyFilter.getSettings();
+    const blocked = this.privacyFilter.isBlocked(tab.url, privacy);
+    if (blocked && privacy.blockedAction === 'exclude') return { skipped: true, reason: 'blocked' };
+
+    const content = blocked ? this.titleOnlyContent(tab) : await this.withTimeout(this.extractTabContent(tab), this.extractionTimeout, 'Timed out extracting tab')
+      .catch(() => this.titleOnlyContent(tab));
+    const fingerprint = this.createFingerprint(content);
+    const previous = (stored.tabFingerprints || {})[tabId];
+    if (previous && previous.url === fingerprint.url && previous.hash === fingerprint.hash) {
+      return { skipped: true, reason: 'unchanged' };
+    }
+
+    const summaries = stored.tabSummaries || [];
+    const candidates = clusters.map(cluster => ({
+      name: cluster.name,
+      description: cluster.description,
+      sampleTitles: cluster.tabIds
+        .filter(id => id !== tabId)
+        .slice(0, 5)
+        .map(id => this.privacyFilter.redactText(summaries.find(s => s.id === id)?.title))
+        .filter(title => title)
+    }));
+
+    const upload = this.privacyFilter.redactTab({ id: tabId, ...content }, privacy);
+    const { result } = await backendAPI.classifyTab(upload, candidates);
+    // Keep the real title/URL locally; only the upload was redacted
+    const summary = { ...result.summary, id: tabId, title: content.title, url: content.url, favIconUrl: tab.favIconUrl };
+    delete summary.cached;
+
+    // Merge into what is stored now: an analysis or sidebar edit may have landed meanwhile
+    const current = await browser.storage.local.get(['clusters', 'tabSummaries', 'tabFingerprints']);
+    if (!current.clusters || current.clusters.length === 0) return { skipped: true, reason: 'no clusters yet' };
+
+    this.fingerprints.set(tabId, fingerprint);
+    const tabSummaries = [...(current.tabSummaries || []).filter(s => s.id !== tabId), summary];
+    const updated = this.insertIntoClusters(current.clusters, summary, result.cluster, tabSummaries);
+
+    this.tabSummaries = new Map(tabSummaries.map(s => [s.id, s]));
+    this.clusters = updated;
+    await browser.storage.local.set({
+      tabSummaries,
+      tabFingerprints: { ...current.tabFingerprints, [tabId]: fingerprint },
+      clusters: updated
+    });
+
+    this.broadcastUpdate('tab-classified', { tabId, clusterName: result.cluster.name, isNew: result.cluster.isNew });
+    return { success: true, cluster: result.cluster };
+  }
+
+  insertIntoClusters(clusters, summary, target, tabSummaries) {
+    const byId = new Map(tabSummaries.map(s => [s.id, s]));
+    const priorityOf = id => byId.get(id)?.priorityScore || 3;
+
+    // A navigated tab may already sit in another cluster
+    const result = clusters
+      .map(cluster => this.mapClusterTabs(cluster, tabIds => tabIds.filter(id => id !== summary.id)))
+      .filter(cluster => cluster.tabIds.length > 0);
+
+    let cluster = result.find(c => c.name === target.name);
+    if (!cluster) {
+      cluster = { name: target.name, description: target.description, tabIds: [] };
+      result.push(cluster);
+    }
+
+    // Same ordering as the backend: priority, then title
+    cluster.tabIds.push(summary.id);
+    cluster.tabIds.sort((a, b) =>
+      priorityOf(a) - priorityOf(b) || (byId.get(a)?.title || '').localeCompare(byId.get(b)?.title || '')
+    );
+
+    result.forEach(c => {
+      const avg = c.tabIds.reduce((sum, id) => sum + priorityOf(id), 0) / c.tabIds.length;
+      c.clusterPriority = Math.round(avg * 10) / 10;
+    });
+    return result.sort((a, b) => a.clusterPriority - b.clusterPriority);
+  }
+
   getSortedResults() {
     const results = [];
     for (const cluster of this.clusters) {
@@ -105,26 +511,489 @@ class TabManager {
     return results;
   }
 
-  async organizeTabsIntoGroups() {
+  async loadStoredResults() {
+    // Always read the stored copy: the background page is not persistent, and the
+    // sidebar saves cluster edits straight to storage
+    const stored = await browser.storage.local.get(['clusters', 'tabSummaries']);
+    this.clusters = stored.clusters || [];
+    this.tabSummaries = new Map((stored.tabSummaries || []).map(tab => [tab.id, tab]));
+  }
+
+  supportsTabGroups() {
+    return typeof browser.tabs.group === 'function' && typeof browser.tabGroups !== 'undefined';
+  }
+
+  async organizeTabsIntoGroups(strategy) {
+    await this.loadStoredResults();
+
+    if (!strategy) {
+      strategy = (await settingsStore.get()).organizeStrategy;
+    }
+    if (strategy === 'groups' && !this.supportsTabGroups()) {
+      strategy = 'contiguous';
+    }
+
+    await this.recordSnapshot('Organize tabs');
     const allTabs = await this.getAllTabs();
-    const tabIndexMap = new Map(allTabs.map((tab, index) => [tab.id, index]));
+
+    const openTabIds = new Set(allTabs.map(tab => tab.id));
+    const clusters = this.clusters
+      .map(cluster => ({ ...cluster, tabIds: cluster.tabIds.filter(id => openTabIds.has(id)) }))
+      .filter(cluster => cluster.tabIds.length > 0);
+
+    switch (strategy) {
+      case 'windows':
+        await this.organizeIntoWindows(clusters, allTabs);
+        break;
+      case 'groups':
+        await this.organizeIntoTabGroups(clusters, allTabs);
+        break;
+      default:
+        await this.organizeContiguously(clusters);
+    }
     
+    this.broadcastUpdate('tabs-organized', { clusters: clusters.length, strategy });
+    return { success: true, strategy };
+  }
+
+  async organizeContiguously(clusters) {
     let targetIndex = 0;
-    for (const cluster of this.clusters) {
+    for (const cluster of clusters) {
       for (const tabId of cluster.tabIds) {
-        if (tabIndexMap.has(tabId)) {
-          try {
-            await browser.tabs.move(tabId, { index: targetIndex });
-            targetIndex++;
-          } catch (e) {
-            console.error(`Failed to move tab ${tabId}:`, e);
+        try {
+          await browser.tabs.move(tabId, { index: targetIndex });
+          targetIndex++;
+        } catch (e) {
+          console.error(`Failed to move tab ${tabId}:`, e);
+        }
+      }
+    }
+  }
+
+  async organizeIntoWindows(clusters, allTabs) {
+    // Pinned tabs stay where they are; they cannot be moved out of their window's pinned strip
+    const pinnedIds = new Set(allTabs.filter(tab => tab.pinned).map(tab => tab.id));
+
+    for (const cluster of clusters) {
+      const tabIds = cluster.tabIds.filter(id => !pinnedIds.has(id));
+      if (tabIds.length === 0) continue;
+
+      try {
+        const window = await browser.windows.create({ tabId: tabIds[0] });
+        if (tabIds.length > 1) {
+          await browser.tabs.move(tabIds.slice(1), { windowId: window.id, index: -1 });
+        }
+      } catch (e) {
+        console.error(`Failed to move cluster "${cluster.name}" to a window:`, e);
+      }
+    }
+  }
+
+  async organizeIntoTabGroups(clusters, allTabs) {
+    const tabMap = new Map(allTabs.map(tab => [tab.id, tab]));
+
+    for (const cluster of clusters) {
+      const tabIds = cluster.tabIds.filter(id => !tabMap.get(id).pinned);
+      if (tabIds.length === 0) continue;
+
+      try {
+        const groupId = await browser.tabs.group({
+          tabIds,
+          createProperties: { windowId: tabMap.get(tabIds[0]).windowId }
+        });
+        await browser.tabGroups.update(groupId, {
+          title: cluster.name,
+          color: this.groupColorForPriority(cluster.clusterPriority)
+        });
+        // Append groups in cluster (priority) order
+        await browser.tabGroups.move(groupId, { index: -1 });
+      } catch (e) {
+        console.error(`Failed to group cluster "${cluster.name}":`, e);
+      }
+    }
+  }
+
+  groupColorForPriority(priority) {
+    // Mirrors the priority colors used in the popup and sidebar
+    const colors = { 1: 'red', 2: 'orange', 3: 'yellow', 4: 'green', 5: 'grey' };
+    return colors[Math.round(priority)] || 'blue';
+  }
+
+  async recordSnapshot(action) {
+    // Capture the whole session before a destructive operation so it can be undone
+    const tabs = await browser.tabs.query({});
+    const groups = this.supportsTabGroups() ? await browser.tabGroups.query({}) : [];
+
+    const snapshot = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      action,
+      timestamp: Date.now(),
+      tabs: tabs.map(tab => ({
+        id: tab.id,
+        windowId: tab.windowId,
+        index: tab.index,
+        url: tab.url,
+        title: tab.title,
+        pinned: tab.pinned,
+        groupId: tab.groupId === undefined ? -1 : tab.groupId
+      })),
+      groups: groups.map(group => ({
+        id: group.id,
+        title: group.title,
+        color: group.color,
+        collapsed: group.collapsed
+      }))
+    };
+
+    const { sessionSnapshots = [] } = await browser.storage.local.get('sessionSnapshots');
+    sessionSnapshots.push(snapshot);
+    await browser.storage.local.set({
+      sessionSnapshots: sessionSnapshots.slice(-this.maxSnapshots)
+    });
+
+    return snapshot;
+  }
+
+  async listSnapshots() {
+    const { sessionSnapshots = [] } = await browser.storage.local.get('sessionSnapshots');
+    return sessionSnapshots
+      .map(snapshot => ({
+        id: snapshot.id,
+        action: snapshot.action,
+        timestamp: snapshot.timestamp,
+        tabCount: snapshot.tabs.length
+      }))
+      .reverse();
+  }
+
+  async undoLastAction() {
+    const { sessionSnapshots = [] } = await browser.storage.local.get('sessionSnapshots');
+    const snapshot = sessionSnapshots.pop();
+    if (!snapshot) {
+      return { success: false, error: 'Nothing to undo' };
+    }
+
+    const result = await this.restoreSnapshot(snapshot);
+    await browser.storage.local.set({ sessionSnapshots });
+    return result;
+  }
+
+  async restoreSnapshotById(snapshotId) {
+    const { sessionSnapshots = [] } = await browser.storage.local.get('sessionSnapshots');
+    const snapshot = sessionSnapshots.find(s => s.id === snapshotId);
+    if (!snapshot) {
+      return { success: false, error: 'Snapshot not found' };
+    }
+    return this.restoreSnapshot(snapshot);
+  }
+
+  async restoreSnapshot(snapshot) {
+    const openTabIds = new Set((await browser.tabs.query({})).map(tab => tab.id));
+    const layout = snapshot.tabs
+      .slice()
+      .sort((a, b) => a.windowId - b.windowId || a.index - b.index);
+
+    if (this.supportsTabGroups()) {
+      const groupedIds = layout.filter(tab => openTabIds.has(tab.id)).map(tab => tab.id);
+      await browser.tabs.ungroup(groupedIds).catch(() => {});
+    }
+
+    const windowIds = new Map();
+    const reopenedIds = new Map();
+    let reopened = 0;
+
+    for (const tab of layout) {
+      try {
+        const isOpen = openTabIds.has(tab.id);
+
+        // Windows may have closed since the snapshot (e.g. emptied by organize)
+        if (!windowIds.has(tab.windowId)) {
+          const exists = await browser.windows.get(tab.windowId).then(() => true, () => false);
+          if (!exists) {
+            const window = await browser.windows.create(isOpen ? { tabId: tab.id } : { url: tab.url });
+            windowIds.set(tab.windowId, window.id);
+            if (!isOpen) {
+              reopenedIds.set(tab.id, window.tabs[0].id);
+              reopened++;
+            }
+            await browser.tabs.update(reopenedIds.get(tab.id) || tab.id, { pinned: tab.pinned });
+            continue;
           }
+          windowIds.set(tab.windowId, tab.windowId);
+        }
+
+        const windowId = windowIds.get(tab.windowId);
+        if (isOpen) {
+          await browser.tabs.update(tab.id, { pinned: tab.pinned });
+          await browser.tabs.move(tab.id, { windowId, index: tab.index });
+        } else {
+          const created = await browser.tabs.create({
+            windowId,
+            url: tab.url,
+            index: tab.index,
+            pinned: tab.pinned,
+            active: false
+          });
+          reopenedIds.set(tab.id, created.id);
+          reopened++;
         }
+      } catch (e) {
+        // Privileged pages (about:, moz-extension:) cannot be reopened by extensions
+        console.error(`Failed to restore tab ${tab.url}:`, e);
       }
     }
-    
-    this.broadcastUpdate('tabs-organized', { clusters: this.clusters.length });
-    return true;
+
+    if (this.supportsTabGroups()) {
+      const restoredLayout = layout.map(tab => ({ ...tab, id: reopenedIds.get(tab.id) || tab.id }));
+      await this.restoreTabGroups(restoredLayout, snapshot.groups, windowIds);
+    }
+
+    // Only the layout is restored; results saved since the snapshot stay, following reopened tabs
+    await this.remapTabIds(reopenedIds);
+    this.broadcastUpdate('tabs-restored', { count: layout.length, reopened });
+    return { success: true, restored: layout.length, reopened };
+  }
+
+  async remapTabIds(idMap) {
+    // Reopened tabs get new ids; keep stored summaries and clusters pointing at them
+    if (idMap.size === 0) return;
+
+    const stored = await browser.storage.local.get(['tabSummaries', 'clusters', 'tabFingerprints']);
+    const remap = id => idMap.get(id) || id;
+
+    const tabSummaries = (stored.tabSummaries || []).map(tab => ({ ...tab, id: remap(tab.id) }));
+    const clusters = (stored.clusters || []).map(cluster => this.mapClusterTabs(cluster, tabIds => tabIds.map(remap)));
+    const tabFingerprints = {};
+    Object.entries(stored.tabFingerprints || {}).forEach(([tabId, fingerprint]) => {
+      tabFingerprints[remap(Number(tabId))] = fingerprint;
+    });
+
+    this.tabSummaries = new Map(tabSummaries.map(tab => [tab.id, tab]));
+    this.clusters = clusters;
+    await browser.storage.local.set({ tabSummaries, clusters, tabFingerprints });
+  }
+
+  async restoreTabGroups(layout, groups, windowIds) {
+    for (const group of groups) {
+      const members = layout.filter(tab => tab.groupId === group.id);
+      if (members.length === 0) continue;
+
+      try {
+        const groupId = await browser.tabs.group({
+          tabIds: members.map(tab => tab.id),
+          createProperties: { windowId: windowIds.get(members[0].windowId) }
+        });
+        await browser.tabGroups.update(groupId, {
+          title: group.title,
+          color: group.color,
+          collapsed: group.collapsed
+        });
+      } catch (e) {
+        console.error(`Failed to restore tab group "${group.title}":`, e);
+      }
+    }
+  }
+
+  async getStoredCluster(clusterIndex, clusterName) {
+    // The sidebar edits stored results directly, so always read the latest copy
+    const { clusters = [] } = await browser.storage.local.get('clusters');
+    const cluster = clusters[clusterIndex];
+    if (!cluster || cluster.name !== clusterName) {
+      throw new Error('Cluster not found - refresh and try again');
+    }
+
+    const openTabIds = new Set((await browser.tabs.query({})).map(tab => tab.id));
+    return { ...cluster, tabIds: cluster.tabIds.filter(id => openTabIds.has(id)) };
+  }
+
+  mapClusterTabs(cluster, fn) {
+    // Applies fn to a cluster's tabIds and to those of its nested sub-clusters, dropping
+    // sub-clusters left empty (cluster.tabIds always lists every tab, sub-clusters included)
+    const result = { ...cluster, tabIds: fn(cluster.tabIds) };
+    if (Array.isArray(cluster.subClusters)) {
+      result.subClusters = cluster.subClusters
+        .map(subCluster => this.mapClusterTabs(subCluster, fn))
+        .filter(subCluster => subCluster.tabIds.length > 0);
+    }
+    return result;
+  }
+
+  async removeTabsFromResults(tabIds) {
+    const removed = new Set(tabIds);
+    const stored = await browser.storage.local.get(['clusters', 'tabSummaries']);
+
+    const tabSummaries = (stored.tabSummaries || []).filter(tab => !removed.has(tab.id));
+    const clusters = (stored.clusters || [])
+      .map(cluster => this.mapClusterTabs(cluster, ids => ids.filter(id => !removed.has(id))))
+      .filter(cluster => cluster.tabIds.length > 0);
+
+    this.tabSummaries = new Map(tabSummaries.map(tab => [tab.id, tab]));
+    this.clusters = clusters;
+    await browser.storage.local.set({ clusters, tabSummaries });
+  }
+
+  async pruneClosedTabs() {
+    // Nothing new to analyze, but tabs missing from the last extraction (closed or
+    // excluded since) still have to leave the stored results
+    const { tabSummaries } = await browser.storage.local.get('tabSummaries');
+    const closed = (tabSummaries || [])
+      .filter(tab => !this.tabs.has(tab.id))
+      .map(tab => tab.id);
+
+    if (closed.length > 0) {
+      await this.removeTabsFromResults(closed);
+      this.broadcastUpdate('analysis-complete', {
+        tabCount: this.tabSummaries.size,
+        clusterCount: this.clusters.length
+      });
+    }
+    return closed.length;
+  }
+
+  async runClusterAction(type, clusterIndex, clusterName) {
+    const cluster = await this.getStoredCluster(clusterIndex, clusterName);
+    const tabIds = cluster.tabIds;
+    if (tabIds.length === 0) {
+      return { success: false, error: 'No open tabs in this cluster' };
+    }
+
+    const tabs = await Promise.all(tabIds.map(id => browser.tabs.get(id)));
+
+    switch (type) {
+      case 'close-cluster':
+        await this.recordSnapshot(`Close cluster "${cluster.name}"`);
+        await browser.tabs.remove(tabIds);
+        await this.removeTabsFromResults(tabIds);
+        break;
+
+      case 'bookmark-cluster': {
+        const folder = await browser.bookmarks.create({
+          title: `TabsAI - ${cluster.name} (${new Date().toLocaleDateString()})`
+        });
+        for (const tab of tabs) {
+          await browser.bookmarks.create({ title: tab.title, url: tab.url, parentId: folder.id });
+        }
+        break;
+      }
+
+      case 'move-cluster': {
+        await this.recordSnapshot(`Move cluster "${cluster.name}" to window`);
+        const window = await browser.windows.create({ tabId: tabIds[0] });
+        if (tabIds.length > 1) {
+          await browser.tabs.move(tabIds.slice(1), { windowId: window.id, index: -1 });
+        }
+        break;
+      }
+
+      case 'pin-cluster': {
+        // Toggle: unpin when every tab is already pinned
+        await this.recordSnapshot(`Pin cluster "${cluster.name}"`);
+        const pinned = !tabs.every(tab => tab.pinned);
+        for (const id of tabIds) {
+          await browser.tabs.update(id, { pinned });
+        }
+        break;
+      }
+
+      case 'mute-cluster': {
+        const muted = !tabs.every(tab => tab.mutedInfo?.muted);
+        await Promise.all(tabIds.map(id => browser.tabs.update(id, { muted })));
+        break;
+      }
+
+      case 'discard-cluster':
+        // The active tab of a window cannot be discarded, so skip those
+        await browser.tabs.discard(tabs.filter(tab => !tab.active).map(tab => tab.id));
+        break;
+
+      default:
+        return { success: false, error: `Unknown cluster action: ${type}` };
+    }
+
+    this.broadcastUpdate('cluster-action-complete', { type, clusterName: cluster.name, tabCount: tabIds.length });
+    return { success: true, tabCount: tabIds.length };
+  }
+
+  async findDuplicates() {
+    const tabs = (await browser.tabs.query({})).filter(tab => this.isAnalyzable(tab));
+    const { contentSignatures = {} } = await browser.storage.local.get('contentSignatures');
+
+    // A signature only counts while the tab still shows the page it was taken from
+    const signatures = new Map();
+    tabs.forEach(tab => {
+      const stored = contentSignatures[tab.id];
+      if (stored && stored.url === tab.url) signatures.set(tab.id, stored.signature);
+    });
+
+    const groups = this.duplicateDetector.findGroups(tabs, signatures)
+      .map(group => ({
+        ...group,
+        // Most recently used first; "newest" and "oldest" below mean by last use
+        tabs: group.tabs
+          .sort((a, b) => b.lastAccessed - a.lastAccessed)
+          .map(tab => ({
+            id: tab.id,
+            title: tab.title,
+            url: tab.url,
+            favIconUrl: tab.favIconUrl,
+            lastAccessed: tab.lastAccessed,
+            pinned: tab.pinned,
+            active: tab.active
+          }))
+      }))
+      .sort((a, b) => b.tabs.length - a.tabs.length);
+
+    return { groups, contentChecked: signatures.size, total: tabs.length };
+  }
+
+  async resolveDuplicates(groups, strategy) {
+    // groups: arrays of tab ids; one tab of each is kept and the rest closed
+    if (!['keep-newest', 'keep-oldest', 'merge'].includes(strategy)) {
+      return { success: false, error: `Unknown duplicate strategy: ${strategy}` };
+    }
+
+    const openTabs = new Map((await browser.tabs.query({})).map(tab => [tab.id, tab]));
+    const plans = groups
+      .map(ids => ids.map(id => openTabs.get(id)).filter(tab => tab))
+      .filter(tabs => tabs.length > 1)
+      .map(tabs => {
+        const byUse = tabs.slice().sort((a, b) => b.lastAccessed - a.lastAccessed);
+        const keep = strategy === 'keep-oldest' ? byUse[byUse.length - 1] : byUse[0];
+        return { tabs, keep, close: tabs.filter(tab => tab !== keep) };
+      });
+    if (plans.length === 0) {
+      return { success: false, error: 'No duplicate tabs left to close' };
+    }
+
+    const closeIds = plans.flatMap(plan => plan.close.map(tab => tab.id));
+    await this.recordSnapshot(`Close ${closeIds.length} duplicate tabs`);
+
+    for (const { tabs, keep, close } of plans) {
+      if (strategy === 'merge') {
+        // The most recently used copy takes the place of the leftmost one, pinned if any copy was
+        const first = tabs.slice().sort((a, b) => a.windowId - b.windowId || a.index - b.index)[0];
+        if (!keep.pinned && tabs.some(tab => tab.pinned)) {
+          await browser.tabs.update(keep.id, { pinned: true });
+        }
+        if (first !== keep) {
+          await browser.tabs.move(keep.id, { windowId: first.windowId, index: first.index });
+        }
+      }
+      if (close.some(tab => tab.active)) {
+        await browser.tabs.update(keep.id, { active: true });
+      }
+    }
+
+    await browser.tabs.remove(closeIds);
+    await this.removeTabsFromResults(closeIds);
+    this.broadcastUpdate('duplicates-resolved', { closed: closeIds.length });
+    return { success: true, closed: closeIds.length, kept: plans.length };
+  }
+
+  async closeTab(tabId) {
+    await this.recordSnapshot('Close tab');
+    await browser.tabs.remove(tabId);
+    return { success: true };
   }
 
   broadcastUpdate(type, data) {
@@ -133,13 +1002,50 @@ class TabManager {
 }
 
 const tabManager = new TabManager();
+const autoAnalyzer = new AutoAnalyzer(tabManager);
+const staleTabMonitor = new StaleTabMonitor(tabManager);
 
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
     case 'extract-tabs':
-      tabManager.extractAllTabs().then(sendResponse);
+      tabManager.extractAllTabs().then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'extract-changed-tabs':
+      tabManager.extractChangedTabs().then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
       return true;
+
+    case 'preview-upload':
+      tabManager.previewUpload().then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'cancel-extraction':
+      sendResponse(tabManager.cancelExtraction());
+      break;
     
+    case 'analyze-tabs':
+      tabManager.analyzeWithBackend().then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'analyze-direct':
+      tabManager.analyzeDirect().then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'get-direct-status':
+      aiService.isConfigured().then(configured => sendResponse({ configured }))
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'analyze-local':
+      tabManager.analyzeLocally().then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
     case 'store-results':
       tabManager.storeResults(message.summaries, message.clusters).then(() => sendResponse({ success: true }));
       return true;
@@ -149,19 +1055,81 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       break;
     
     case 'get-clusters':
-      sendResponse(tabManager.clusters);
-      break;
+      tabManager.loadStoredResults().then(() => sendResponse(tabManager.clusters));
+      return true;
 
     case 'get-sorted-results':
       sendResponse(tabManager.getSortedResults());
       break;
 
     case 'organize-tabs':
-      tabManager.organizeTabsIntoGroups().then(sendResponse);
+      tabManager.organizeTabsIntoGroups(message.strategy).then(sendResponse);
+      return true;
+
+    case 'undo-last-action':
+      tabManager.undoLastAction().then(sendResponse);
+      return true;
+
+    case 'list-snapshots':
+      tabManager.listSnapshots().then(sendResponse);
+      return true;
+
+    case 'restore-snapshot':
+      tabManager.restoreSnapshotById(message.snapshotId).then(sendResponse);
+      return true;
+
+    case 'close-cluster':
+    case 'bookmark-cluster':
+    case 'move-cluster':
+    case 'pin-cluster':
+    case 'mute-cluster':
+    case 'discard-cluster':
+      tabManager.runClusterAction(message.type, message.clusterIndex, message.clusterName).then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'find-duplicates':
+      tabManager.findDuplicates().then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'resolve-duplicates':
+      tabManager.resolveDuplicates(message.groups, message.strategy).then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'find-stale-tabs':
+      staleTabMonitor.findStale().then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'resolve-stale-tabs':
+      staleTabMonitor.resolve(message.tabIds, message.action, message.snoozeDays).then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'wake-snoozed-tabs':
+      staleTabMonitor.wake(message.snoozeIds).then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
       return true;
 
     case 'close-tab':
-      browser.tabs.remove(message.tabId).then(() => sendResponse({ success: true }))
+      tabManager.closeTab(message.tabId).then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'get-auto-analysis':
+      Promise.all([autoAnalyzer.getSettings(), autoAnalyzer.getState()])
+        .then(([settings, state]) => sendResponse({ settings, lastRun: state.lastRun }));
+      return true;
+
+    case 'set-auto-analysis':
+      autoAnalyzer.updateSettings(message.settings).then(sendResponse)
+        .catch(e => sendResponse({ error: e.message }));
+      return true;
+
+    case 'classify-tab':
+      tabManager.classifyNewTab(message.tabId).then(sendResponse)
         .catch(e => sendResponse({ error: e.message }));
       return true;
 
@@ -177,12 +1145,35 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.status === 'complete') {
-    // Don't auto-analyze on every tab update (too expensive)
-    // User should manually trigger analysis
+    // Auto-analysis is opt-in; events are debounced and batched by AutoAnalyzer
+    autoAnalyzer.onTabLoaded(tabId);
   }
 });
 
+browser.tabs.onCreated.addListener(() => {
+  autoAnalyzer.onTabEvent();
+});
+
+browser.alarms.onAlarm.addListener((alarm) => {
+  autoAnalyzer.onAlarm(alarm);
+  staleTabMonitor.onAlarm(alarm);
+});
+
 browser.tabs.onRemoved.addListener((tabId) => {
   tabManager.tabs.delete(tabId);
   tabManager.tabSummaries.delete(tabId);
-});
\ No newline at end of file
+  tabManager.fingerprints.delete(tabId);
+  autoAnalyzer.onTabEvent();
+});
+
+browser.runtime.onStartup.addListener(async () => {
+  // Alarms don't survive a browser restart, so re-create the schedule
+  autoAnalyzer.applySchedule(await autoAnalyzer.getSettings());
+  staleTabMonitor.scheduleWake(await staleTabMonitor.getSnoozed());
+});
+settingsStore.subscribe((settings, previous) => {
+  // A session token is only valid on the backend that issued it
+  if (settings.backendUrl !== previous.backendUrl) {
+    backendAPI.clearAuth();
+  }
+});
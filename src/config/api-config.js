@@ -1,6 +1,6 @@
 // API Configuration
 const API_CONFIG = {
-  // Update this with your deployed backend URL
+  // Default backend; users can point the extension elsewhere on the options page
   PRODUCTION_API: 'https://tabs-ai-clustering.vercel.app', // Vercel production deployment
   
   // For local development
@@ -0,0 +1,152 @@
+// Readability-style page extraction, injected by TabManager.extractTabContent via
+// browser.tabs.executeScript({ file }). The value of the last expression is the
+// structured payload sent to the backend, so everything stays inside the IIFE
+// (the script may be injected into the same page more than once).
+(() => {
+  const MAX_TEXT = 4000;
+  const POSITIVE = /article|body|content|entry|main|page|post|text|blog|story|prose|markdown/i;
+  const NEGATIVE = /comment|footer|footnote|masthead|meta|nav|promo|related|share|social|sidebar|sponsor|banner|cookie|consent|gdpr|popup|modal|newsletter|subscribe|advert|\bads?\b|breadcrumb|toolbar|menu/i;
+  const BOILERPLATE = [
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'form', 'button',
+    'nav', 'header', 'footer', 'aside',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[role="dialog"]', '[aria-hidden="true"]', '[hidden]'
+  ].join(',');
+
+  const clean = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+  const meta = (...selectors) => {
+    for (const selector of selectors) {
+      const el = document.querySelector(selector);
+      const value = clean(el?.content || el?.getAttribute?.('datetime') || el?.textContent);
+      if (value) return value;
+    }
+    return '';
+  };
+
+  const classAndId = el => `${el.className && typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+
+  const linkDensity = el => {
+    const textLength = clean(el.textContent).length || 1;
+    const linkLength = Array.from(el.querySelectorAll('a'))
+      .reduce((sum, a) => sum + clean(a.textContent).length, 0);
+    return linkLength / textLength;
+  };
+
+  // Score paragraph containers like Readability: text length and commas count,
+  // class/id names hint at content or chrome, link-heavy blocks are navigation
+  const findMainElement = () => {
+    const semantic = document.querySelector('article, main, [role="main"], [itemprop="articleBody"]');
+    if (semantic && clean(semantic.textContent).length > 500) return semantic;
+
+    const scores = new Map();
+    const addScore = (el, value) => {
+      if (!el || el === document.documentElement) return;
+      if (!scores.has(el)) {
+        const hint = classAndId(el);
+        scores.set(el, (POSITIVE.test(hint) ? 25 : 0) - (NEGATIVE.test(hint) ? 25 : 0));
+      }
+      scores.set(el, scores.get(el) + value);
+    };
+
+    document.querySelectorAll('p, pre, td, blockquote, li').forEach(node => {
+      const text = clean(node.textContent);
+      if (text.length < 25) return;
+      const value = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+      addScore(node.parentElement, value);
+      addScore(node.parentElement?.parentElement, value / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+      const adjusted = score * (1 - linkDensity(el));
+      if (adjusted > bestScore) {
+        best = el;
+        bestScore = adjusted;
+      }
+    });
+    return best || semantic || document.body;
+  };
+
+  const extractText = root => {
+    const copy = root.cloneNode(true);
+    copy.querySelectorAll(BOILERPLATE).forEach(el => el.remove());
+    copy.querySelectorAll('div, section, ul, ol, table').forEach(el => {
+      if (NEGATIVE.test(classAndId(el)) && !POSITIVE.test(classAndId(el))) el.remove();
+      else if (clean(el.textContent).length > 0 && linkDensity(el) > 0.5) el.remove();
+    });
+
+    // Keep block boundaries so sentences from adjacent paragraphs don't run together
+    copy.querySelectorAll('p, li, h1, h2, h3, h4, pre, br, tr').forEach(el => el.append(' \n'));
+    return clean(copy.textContent);
+  };
+
+  const readJsonLd = () => {
+    const items = [];
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        const data = JSON.parse(script.textContent);
+        const queue = Array.isArray(data) ? data : [data];
+        queue.forEach(item => {
+          if (!item || typeof item !== 'object') return;
+          if (Array.isArray(item['@graph'])) items.push(...item['@graph']);
+          else items.push(item);
+        });
+      } catch (error) {
+        // Malformed JSON-LD is common; ignore it
+      }
+    });
+
+    const types = items.flatMap(item => [].concat(item['@type'] || [])).map(String);
+    const article = items.find(item =>
+      [].concat(item['@type'] || []).some(type => /Article|BlogPosting|Report|HowTo|Recipe|VideoObject/.test(type))
+    ) || {};
+    const author = [].concat(article.author || [])
+      .map(a => (typeof a === 'string' ? a : a?.name))
+      .filter(name => name)
+      .join(', ');
+
+    return {
+      types: Array.from(new Set(types)).slice(0, 5),
+      headline: clean(article.headline || article.name),
+      author: clean(author),
+      datePublished: clean(article.datePublished || article.uploadDate),
+      keywords: [].concat(article.keywords || []).join(', ')
+    };
+  };
+
+  const extractCodeBlocks = root => Array.from(root.querySelectorAll('pre'))
+    .slice(0, 3)
+    .map(pre => {
+      const code = pre.querySelector('code') || pre;
+      const language = (`${code.className} ${pre.className}`.match(/(?:language|lang)-([\w+#-]+)/) || [])[1] || '';
+      return { language, snippet: code.textContent.trim().slice(0, 300) };
+    })
+    .filter(block => block.snippet);
+
+  const main = findMainElement();
+  const articleText = extractText(main);
+  const jsonLd = readJsonLd();
+  const wordCount = articleText ? articleText.split(/\s+/).length : 0;
+
+  return {
+    title: document.title,
+    url: window.location.href,
+    metaDescription: meta('meta[name="description"]', 'meta[property="og:description"]'),
+    headings: Array.from(main.querySelectorAll('h1, h2, h3')).slice(0, 8).map(h => clean(h.textContent)).filter(h => h),
+    textContent: articleText.slice(0, MAX_TEXT),
+    metadata: {
+      siteName: meta('meta[property="og:site_name"]', 'meta[name="application-name"]'),
+      type: meta('meta[property="og:type"]') || jsonLd.types[0] || '',
+      author: jsonLd.author || meta('meta[name="author"]', 'meta[property="article:author"]', '[rel="author"]', '[itemprop="author"]'),
+      publishedTime: jsonLd.datePublished || meta('meta[property="article:published_time"]', 'meta[itemprop="datePublished"]', 'time[datetime]'),
+      language: document.documentElement.lang || '',
+      keywords: jsonLd.keywords || meta('meta[name="keywords"]'),
+      schemaTypes: jsonLd.types
+    },
+    codeBlocks: extractCodeBlocks(main),
+    wordCount,
+    readingTimeMinutes: Math.max(1, Math.round(wordCount / 230))
+  };
+})();
@@ -0,0 +1,73 @@
+// YouTube watch-page extractor, injected by SiteExtractors (src/utils/site-extractors.js).
+// YouTube is a single-page app, so the player response is read from the live player
+// first; the DOM is only a fallback. Returns the same record shape as extractor.js.
+(() => {
+  const clean = text => String(text || '').replace(/\s+/g, ' ').trim();
+  const url = new URL(window.location.href);
+  const videoId = url.searchParams.get('v') || (url.pathname.match(/\/shorts\/([\w-]+)/) || [])[1] || '';
+
+  // Page globals are only reachable through wrappedJSObject from a content script
+  let player = null;
+  try {
+    const moviePlayer = document.getElementById('movie_player');
+    player = moviePlayer?.wrappedJSObject?.getPlayerResponse?.() || null;
+  } catch (error) {
+    player = null;
+  }
+  if (!player || player.videoDetails?.videoId !== videoId) {
+    try {
+      const initial = window.wrappedJSObject?.ytInitialPlayerResponse;
+      player = initial?.videoDetails?.videoId === videoId ? initial : null;
+    } catch (error) {
+      player = null;
+    }
+  }
+
+  const details = player?.videoDetails || {};
+  const microformat = player?.microformat?.playerMicroformatRenderer || {};
+
+  const title = clean(details.title) ||
+    clean(document.querySelector('h1.ytd-watch-metadata, h1.title')?.textContent) ||
+    document.title.replace(/ - YouTube$/, '');
+  const description = String(details.shortDescription ||
+    document.querySelector('#description-inline-expander, #description')?.textContent ||
+    document.querySelector('meta[name="description"]')?.content || '').trim();
+  const channel = clean(details.author) ||
+    clean(document.querySelector('#owner #channel-name a, ytd-channel-name a')?.textContent);
+
+  // Chapters are timestamp lines in the description ("0:00 Intro", "1:02:03 Wrap-up")
+  const chapters = description.split('\n')
+    .map(line => line.trim().match(/^((?:\d{1,2}:)?\d{1,2}:\d{2})\s*[-–—:]?\s*(.+)$/))
+    .filter(match => match)
+    .map(match => `${match[1]} ${clean(match[2])}`)
+    .slice(0, 30);
+
+  const keywords = Array.from(details.keywords || []).map(String).slice(0, 10);
+  const durationSeconds = parseInt(details.lengthSeconds) || 0;
+  const text = [description, chapters.length > 0 ? `Chapters:\n${chapters.join('\n')}` : '']
+    .filter(part => part)
+    .join('\n\n');
+  const wordCount = text ? text.split(/\s+/).length : 0;
+
+  return {
+    title,
+    url: window.location.href,
+    metaDescription: clean(description).slice(0, 300),
+    headings: chapters.map(chapter => chapter.replace(/^\S+\s/, '')).slice(0, 8),
+    textContent: text.slice(0, 4000),
+    metadata: {
+      siteName: 'YouTube',
+      type: 'video',
+      author: channel,
+      publishedTime: microformat.publishDate || microformat.uploadDate || '',
+      language: document.documentElement.lang || '',
+      keywords: keywords.join(', '),
+      category: microformat.category || '',
+      durationMinutes: durationSeconds ? Math.round(durationSeconds / 60) : 0,
+      stats: details.viewCount ? `${details.viewCount} views` : ''
+    },
+    codeBlocks: [],
+    wordCount,
+    readingTimeMinutes: Math.max(1, Math.round(wordCount / 230))
+  };
+})();
@@ -0,0 +1,264 @@
+class OptionsManager {
+  constructor() {
+    this.dirty = false;
+    this.rubric = new PriorityRubric();
+    this.init();
+  }
+
+  async init() {
+    this.bindEvents();
+    this.fillForm(await settingsStore.get());
+    document.getElementById('apiKey').value = (await aiService.getApiKey()) || '';
+    await this.loadRubric();
+
+    // Edits from the popup or sidebar show up here unless the form has unsaved changes
+    settingsStore.subscribe(settings => {
+      if (!this.dirty) this.fillForm(settings);
+    });
+  }
+
+  bindEvents() {
+    // Delegated so rubric rows added later count as edits too
+    document.body.addEventListener('input', () => {
+      this.dirty = true;
+    });
+    document.getElementById('privacyMode').addEventListener('change', () => this.updateModeFields());
+    document.getElementById('saveBtn').addEventListener('click', () => this.save());
+    document.getElementById('resetBtn').addEventListener('click', () => this.reset());
+    document.getElementById('previewBtn').addEventListener('click', () => this.preview());
+    document.getElementById('testDirectBtn').addEventListener('click', () => this.testDirect());
+    document.getElementById('addCriterionBtn').addEventListener('click', () => {
+      this.addCriterionRow({ name: '', description: '', weight: 1 });
+      this.dirty = true;
+    });
+    document.getElementById('defaultRubricBtn').addEventListener('click', () => {
+      this.renderRubric(this.rubric.defaults());
+      this.dirty = true;
+    });
+  }
+
+  fillForm(settings) {
+    document.getElementById('backendUrl').value = settings.backendUrl;
+    document.getElementById('analysisMode').value = settings.analysisMode;
+    document.getElementById('directBaseUrl').value = settings.direct.baseUrl;
+    document.getElementById('directModel').value = settings.direct.model;
+    document.getElementById('loadDiscardedTabs').checked = settings.loadDiscardedTabs;
+    document.getElementById('clusterMin').value = settings.clusterCount.min;
+    document.getElementById('clusterMax').value = settings.clusterCount.max;
+    document.getElementById('nestedClusters').checked = settings.nestedClusters;
+    document.getElementById('organizeStrategy').value = settings.organizeStrategy;
+    Object.entries(settings.staleAfterDays).forEach(([priority, days]) => {
+      document.getElementById(`staleDays${priority}`).value = days;
+    });
+    this.renderRubric(settings.priorityRubric || this.rubric.defaults());
+    document.getElementById('privacyMode').value = settings.privacy.mode;
+    document.getElementById('blocklist').value = settings.privacy.blocklist.join('\n');
+    document.getElementById('allowlist').value = settings.privacy.allowlist.join('\n');
+    document.getElementById('blockedAction').value = settings.privacy.blockedAction;
+    document.getElementById('redact').checked = settings.privacy.redact;
+    this.updateModeFields();
+  }
+
+  readForm() {
+    const value = id => document.getElementById(id).value;
+    return {
+      backendUrl: value('backendUrl'),
+      analysisMode: value('analysisMode'),
+      direct: { baseUrl: value('directBaseUrl'), model: value('directModel') },
+      loadDiscardedTabs: document.getElementById('loadDiscardedTabs').checked,
+      clusterCount: { min: value('clusterMin'), max: value('clusterMax') },
+      nestedClusters: document.getElementById('nestedClusters').checked,
+      organizeStrategy: value('organizeStrategy'),
+      staleAfterDays: Object.fromEntries([1, 2, 3, 4, 5].map(priority => [priority, value(`staleDays${priority}`)])),
+      privacy: {
+        mode: value('privacyMode'),
+        blocklist: value('blocklist').split('\n'),
+        allowlist: value('allowlist').split('\n'),
+        blockedAction: value('blockedAction'),
+        redact: document.getElementById('redact').checked
+      }
+    };
+  }
+
+  async loadRubric() {
+    // In backend mode the profile is authoritative; mirror it so direct mode matches
+    if (!(await backendAPI.getAuthToken())) return;
+
+    try {
+      const { rubric, isDefault } = await backendAPI.getRubric();
+      this.renderRubric(rubric);
+      await settingsStore.update({ priorityRubric: isDefault ? null : rubric });
+    } catch (error) {
+      console.error('Failed to load rubric from account:', error);
+      this.setStatus('rubricStatus', 'Could not load the rubric from your account');
+    }
+  }
+
+  renderRubric(rubric) {
+    document.getElementById('rubricCriteria').textContent = '';
+    rubric.criteria.forEach(criterion => this.addCriterionRow(criterion));
+  }
+
+  addCriterionRow(criterion) {
+    const row = document.createElement('div');
+    row.className = 'criterion';
+    // Existing ids are kept across renames so stored sub-scores still line up
+    row.dataset.id = criterion.id || '';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'criterion-name';
+    name.placeholder = 'Criterion, e.g. Related to current sprint';
+    name.value = criterion.name;
+
+    const weight = document.createElement('input');
+    weight.type = 'number';
+    weight.className = 'criterion-weight';
+    weight.min = '0.1';
+    weight.max = '10';
+    weight.step = '0.1';
+    weight.title = 'Weight';
+    weight.value = criterion.weight;
+
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-remove';
+    remove.textContent = '✕';
+    remove.title = 'Remove criterion';
+    remove.addEventListener('click', () => {
+      row.remove();
+      this.dirty = true;
+    });
+
+    const description = document.createElement('input');
+    description.type = 'text';
+    description.className = 'criterion-description';
+    description.placeholder = 'What makes a tab score high on this criterion (optional)';
+    description.value = criterion.description;
+
+    row.append(name, weight, remove, description);
+    document.getElementById('rubricCriteria').appendChild(row);
+  }
+
+  readRubric() {
+    const criteria = Array.from(document.querySelectorAll('#rubricCriteria .criterion')).map(row => ({
+      id: row.dataset.id || undefined,
+      name: row.querySelector('.criterion-name').value,
+      description: row.querySelector('.criterion-description').value,
+      weight: row.querySelector('.criterion-weight').value
+    }));
+    return this.rubric.sanitize({ criteria });
+  }
+
+  async saveRubric(rubric) {
+    // null keeps the built-in rubric, so later changes to the default still apply
+    const isDefault = JSON.stringify(rubric) === JSON.stringify(this.rubric.defaults());
+    if (await backendAPI.getAuthToken()) {
+      try {
+        if (isDefault) {
+          await backendAPI.resetRubric();
+        } else {
+          await backendAPI.saveRubric(rubric);
+        }
+        this.setStatus('rubricStatus', 'Saved to your account');
+      } catch (error) {
+        console.error('Failed to save rubric to account:', error);
+        this.setStatus('rubricStatus', `Saved on this browser only: ${error.message}`);
+      }
+    }
+    return isDefault ? null : rubric;
+  }
+
+  updateModeFields() {
+    const allowlist = document.getElementById('privacyMode').value === 'allowlist';
+    document.getElementById('blocklistField').classList.toggle('hidden', allowlist);
+    document.getElementById('allowlistField').classList.toggle('hidden', !allowlist);
+  }
+
+  async save() {
+    const changes = this.readForm();
+    try {
+      changes.priorityRubric = this.readRubric();
+    } catch (error) {
+      this.setStatus('rubricStatus', error.message);
+      this.setStatus('saveStatus', 'Fix the priority rubric first');
+      return;
+    }
+
+    const badUrl = [changes.backendUrl, changes.direct.baseUrl]
+      .some(url => url.trim() && !settingsStore.cleanUrl(url));
+    if (badUrl) {
+      this.setStatus('saveStatus', 'URLs must start with https:// or http://');
+      return;
+    }
+
+    try {
+      this.dirty = false;
+      // The API key is a secret, so it stays in storage.local instead of the synced settings
+      await aiService.setApiKey(document.getElementById('apiKey').value.trim());
+      changes.priorityRubric = await this.saveRubric(changes.priorityRubric);
+      // Saved values come back normalized (clamped counts, deduplicated patterns)
+      this.fillForm(await settingsStore.update(changes));
+      this.setStatus('saveStatus', 'Saved');
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      this.setStatus('saveStatus', 'Failed to save');
+    }
+  }
+
+  async reset() {
+    if (!confirm('Reset all settings to their defaults?')) return;
+
+    try {
+      this.dirty = false;
+      this.fillForm(await settingsStore.reset());
+      await this.saveRubric(this.rubric.defaults());
+      this.setStatus('saveStatus', 'Defaults restored');
+    } catch (error) {
+      console.error('Failed to reset settings:', error);
+      this.setStatus('saveStatus', 'Failed to reset');
+    }
+  }
+
+  async testDirect() {
+    // Tests the saved settings, so save first if the form has changed
+    if (this.dirty) await this.save();
+    this.setStatus('directStatus', 'Connecting...');
+
+    try {
+      const { models, hasModel } = await aiService.testConnection();
+      const { direct } = await settingsStore.get();
+      this.setStatus('directStatus', hasModel
+        ? `Connected (${models.length} models available)`
+        : `Connected, but "${direct.model}" is not one of the ${models.length} models offered`);
+    } catch (error) {
+      console.error('Direct mode connection test failed:', error);
+      this.setStatus('directStatus', error.message);
+    }
+  }
+
+  async preview() {
+    const output = document.getElementById('preview');
+    this.setStatus('previewStatus', 'Extracting tabs...');
+
+    try {
+      const payload = await browser.runtime.sendMessage({ type: 'preview-upload' });
+      if (payload.error) throw new Error(payload.error);
+
+      output.textContent = JSON.stringify(payload, null, 2);
+      output.classList.remove('hidden');
+      this.setStatus('previewStatus',
+        `${payload.tabs.length} tabs would be sent in full, ${payload.previousSummaries.length} as existing summaries`);
+    } catch (error) {
+      console.error('Failed to build preview:', error);
+      this.setStatus('previewStatus', error.message);
+    }
+  }
+
+  setStatus(id, text) {
+    document.getElementById(id).textContent = text;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsManager();
+});
@@ -6,9 +6,29 @@ class PopupManager {
 
   async init() {
     this.bindEvents();
+    this.listenForProgress();
+    settingsStore.subscribe(settings => this.applySettings(settings));
     await this.checkAuthentication();
   }
 
+  listenForProgress() {
+    browser.runtime.onMessage.addListener((message) => {
+      if (message.type === 'extraction-progress') {
+        const { current, total, skipped, failed } = message.data;
+        document.getElementById('loadingText').textContent =
+          `Extracting ${current}/${total} tabs (${skipped} skipped, ${failed} failed)...`;
+      }
+      if (message.type === 'analysis-progress' && this.isAnalyzing) {
+        const { stage, current, total } = message.data;
+        document.getElementById('analyzeButton').textContent = '🧠 Analyzing...';
+        document.getElementById('cancelButton').classList.add('hidden');
+        document.getElementById('loadingText').textContent = stage === 'clustering'
+          ? `Clustering ${total} analyzed tabs...`
+          : `Analyzed ${current}/${total} tabs...`;
+      }
+    });
+  }
+
   bindEvents() {
     // Auth form events
     document.getElementById('showRegisterBtn').addEventListener('click', () => this.showRegisterForm());
@@ -20,6 +40,21 @@ class PopupManager {
     document.getElementById('analyzeButton').addEventListener('click', () => this.analyzeTabs());
     document.getElementById('organizeButton')?.addEventListener('click', () => this.organizeTabs());
     document.getElementById('upgradeBtn').addEventListener('click', () => this.handleUpgrade());
+    document.getElementById('undoButton').addEventListener('click', () => this.undoLastAction());
+    document.getElementById('restoreSnapshotButton').addEventListener('click', () => this.restoreSnapshot());
+    document.getElementById('analysisModeSelect').addEventListener('change', (e) => this.switchMode(e.target.value));
+    document.getElementById('useOwnKeyBtn').addEventListener('click', () => this.switchMode('direct'));
+    document.getElementById('autoAnalysisToggle').addEventListener('change', () => this.saveAutoAnalysis());
+    document.getElementById('autoScheduleSelect').addEventListener('change', () => this.saveAutoAnalysis());
+    document.getElementById('classifyNewTabsToggle').addEventListener('change', () => this.saveAutoAnalysis());
+    document.getElementById('loadDiscardedToggle').addEventListener('change', (e) => {
+      settingsStore.update({ loadDiscardedTabs: e.target.checked });
+    });
+    document.getElementById('cancelButton').addEventListener('click', () => this.sendMessage('cancel-extraction'));
+    document.getElementById('settingsButton').addEventListener('click', () => {
+      browser.runtime.openOptionsPage();
+      window.close();
+    });
     
     // Enter key support
     document.getElementById('password').addEventListener('keypress', (e) => {
@@ -32,7 +67,9 @@ class PopupManager {
 
   async checkAuthentication() {
     try {
-      const isAuth = await backendAPI.isAuthenticated();
+      // Direct and private mode work without a TabsAI account
+      const { analysisMode } = await settingsStore.get();
+      const isAuth = analysisMode !== 'backend' || await backendAPI.isAuthenticated();
       
       if (isAuth) {
         await this.showMainInterface();
@@ -126,7 +163,29 @@ class PopupManager {
     await this.loadUserStatus();
   }
 
+  async switchMode(analysisMode) {
+    await settingsStore.update({ analysisMode });
+    if (analysisMode === 'direct' && !(await this.sendMessage('get-direct-status')).configured) {
+      this.showMessage('Add your API key or local server in Settings first', 'info');
+      browser.runtime.openOptionsPage();
+    }
+    await this.checkAuthentication();
+  }
+
   async loadUserStatus() {
+    const { analysisMode } = await settingsStore.get();
+    if (analysisMode !== 'backend') {
+      // No account outside backend mode, so there is no plan or usage to show
+      document.getElementById('userPlan').textContent = analysisMode === 'direct' ? 'Own API key' : 'Private';
+      document.getElementById('usageDisplay').textContent = '-';
+      document.getElementById('upgradePrompt').classList.add('hidden');
+      document.getElementById('analyzeButton').disabled = false;
+      document.getElementById('analyzeButton').textContent = '🧠 Analyze Tabs';
+      await this.loadStoredData();
+      await this.loadSnapshots();
+      return;
+    }
+
     try {
       const profile = await backendAPI.getProfile();
       const usage = await backendAPI.getCachedUsage();
@@ -151,16 +210,47 @@ class PopupManager {
 
       // Load existing data
       await this.loadStoredData();
+      await this.loadSnapshots();
       
     } catch (error) {
       console.error('Failed to load user status:', error);
     }
   }
 
+  async loadAutoAnalysis() {
+    const { settings, lastRun } = await this.sendMessage('get-auto-analysis');
+    document.getElementById('autoAnalysisToggle').checked = settings.enabled;
+    document.getElementById('autoScheduleSelect').value = String(settings.scheduleMinutes);
+    document.getElementById('autoScheduleSelect').disabled = !settings.enabled;
+    document.getElementById('classifyNewTabsToggle').checked = settings.classifyNewTabs;
+    document.getElementById('autoAnalysisStatus').textContent = lastRun
+      ? `Last auto run ${new Date(lastRun.timestamp).toLocaleTimeString()}: ${lastRun.status}`
+      : '';
+  }
+
+  async saveAutoAnalysis() {
+    const enabled = document.getElementById('autoAnalysisToggle').checked;
+    const scheduleMinutes = parseInt(document.getElementById('autoScheduleSelect').value) || 0;
+    const classifyNewTabs = document.getElementById('classifyNewTabsToggle').checked;
+    document.getElementById('autoScheduleSelect').disabled = !enabled;
+
+    const result = await this.sendMessage('set-auto-analysis', { settings: { enabled, scheduleMinutes, classifyNewTabs } });
+    if (result.error) {
+      this.showMessage(`Failed to update auto-analysis: ${result.error}`, 'error');
+    }
+  }
+
+  applySettings(settings) {
+    document.getElementById('analysisModeSelect').value = settings.analysisMode;
+    document.getElementById('loadDiscardedToggle').checked = settings.loadDiscardedTabs;
+  }
+
   async loadStoredData() {
     try {
       const result = await browser.storage.local.get(['clusters', 'tabSummaries']);
       const clusters = result.clusters || [];
+      this.applySettings(await settingsStore.get());
+      await this.loadAutoAnalysis();
       
       if (clusters.length > 0) {
         document.getElementById('clusterCount').textContent = clusters.length;
@@ -178,34 +268,45 @@ class PopupManager {
     this.isAnalyzing = true;
     document.getElementById('analyzeButton').disabled = true;
     document.getElementById('analyzeButton').textContent = '⏳ Extracting...';
+    document.getElementById('loadingText').textContent = 'Extracting tab content...';
+    document.getElementById('cancelButton').classList.remove('hidden');
     document.getElementById('loading').classList.remove('hidden');
     document.getElementById('statusSection').classList.add('hidden');
 
     try {
-      // Step 1: Extract tab data from browser
-      const tabs = await this.sendMessage('extract-tabs');
-      document.getElementById('tabCount').textContent = tabs.length;
-      document.getElementById('analyzeButton').textContent = '🧠 Analyzing...';
+      const analysisMode = document.getElementById('analysisModeSelect').value;
+      if (analysisMode === 'local') {
+        await this.analyzeLocally();
+        return;
+      }
+      if (analysisMode === 'direct') {
+        await this.analyzeDirect();
+        return;
+      }
 
-      if (tabs.length === 0) {
+      // Extraction and the streamed backend analysis run in the background page;
+      // listenForProgress() follows both
+      const result = await this.sendMessage('analyze-tabs');
+      if (result.error) throw new Error(result.error);
+
+      document.getElementById('tabCount').textContent = result.total;
+      if (result.total === 0) {
         throw new Error('No tabs to analyze');
       }
 
-      // Step 2: Send to backend for AI analysis with priority scoring
-      const result = await backendAPI.analyzeTabs(tabs);
-      
-      // Step 3: Store results in background script
-      await this.sendMessage('store-results', {
-        summaries: result.results.summaries,
-        clusters: result.results.clusters
-      });
+      if (result.processed === 0) {
+        this.showMessage('No new or changed tabs since the last analysis', 'info');
+        await this.loadStoredData();
+        return;
+      }
       
       // Update UI with results
       document.getElementById('clusterCount').textContent = result.results.clusters.length;
       document.getElementById('usageDisplay').textContent = 
         result.usage.limit === -1 ? `${result.usage.current}/∞` : `${result.usage.current}/${result.usage.limit}`;
       
-      this.displayClusters(result.results.clusters, result.results.summaries);
+      // The background keeps the real titles; the backend only saw redacted ones
+      this.displayClusters(result.results.clusters, await this.sendMessage('get-tabs'));
       document.getElementById('statusSection').classList.remove('hidden');
 
       // Check if approaching limit
@@ -213,7 +314,9 @@ class PopupManager {
         document.getElementById('upgradePrompt').classList.remove('hidden');
       }
 
-      this.showMessage(`Analyzed ${tabs.length} tabs into ${result.results.clusters.length} clusters!`, 'success');
+      // errors: tabs left with a placeholder summary (retry counts are in results.stats)
+      const failed = result.results.errors > 0 ? `, ${result.results.errors} failed` : '';
+      this.showMessage(`Analyzed ${result.processed} new or changed tabs (${result.reused} unchanged${failed}) into ${result.results.clusters.length} clusters!`, 'success');
 
     } catch (error) {
       console.error('Analysis failed:', error);
@@ -223,6 +326,8 @@ class PopupManager {
         this.showMessage('Monthly usage limit reached. Upgrade to continue!', 'error');
       } else if (error.message.includes('Authentication required')) {
         await this.checkAuthentication();
+      } else if (error.message === 'Extraction cancelled') {
+        this.showMessage('Analysis cancelled', 'info');
       } else {
         this.showMessage(error.message || 'Analysis failed', 'error');
       }
@@ -231,6 +336,82 @@ class PopupManager {
       document.getElementById('analyzeButton').disabled = false;
       document.getElementById('analyzeButton').textContent = '🧠 Analyze Tabs';
       document.getElementById('loading').classList.add('hidden');
+      document.getElementById('cancelButton').classList.add('hidden');
+    }
+  }
+
+  async analyzeLocally() {
+    // Private mode: background clusters offline, no backend call and no usage
+    const result = await this.sendMessage('analyze-local');
+    if (result.error) throw new Error(result.error);
+    if (result.summaries.length === 0) {
+      throw new Error('No tabs to analyze');
+    }
+
+    document.getElementById('tabCount').textContent = result.summaries.length;
+    document.getElementById('clusterCount').textContent = result.clusters.length;
+    this.displayClusters(result.clusters, result.summaries);
+    document.getElementById('statusSection').classList.remove('hidden');
+
+    this.showMessage(`Clustered ${result.summaries.length} tabs offline into ${result.clusters.length} clusters`, 'success');
+  }
+
+  async analyzeDirect() {
+    // Direct mode: the background calls the user's own provider, no account or usage
+    document.getElementById('loadingText').textContent = 'Extracting and analyzing with your API key...';
+    const result = await this.sendMessage('analyze-direct');
+    if (result.error) throw new Error(result.error);
+    if (result.total === 0) {
+      throw new Error('No tabs to analyze');
+    }
+    if (result.processed === 0) {
+      this.showMessage('No new or changed tabs since the last analysis', 'info');
+      await this.loadStoredData();
+      return;
+    }
+
+    document.getElementById('tabCount').textContent = result.total;
+    document.getElementById('clusterCount').textContent = result.clusters.length;
+    this.displayClusters(result.clusters, await this.sendMessage('get-tabs'));
+    document.getElementById('statusSection').classList.remove('hidden');
+
+    const failed = result.errors > 0 ? `, ${result.errors} failed` : '';
+    this.showMessage(`Analyzed ${result.processed} tabs with your API key (${result.reused} unchanged${failed}) into ${result.clusters.length} clusters`, 'success');
+  }
+
+  async loadSnapshots() {
+    const select = document.getElementById('snapshotSelect');
+    select.textContent = '';
+
+    const snapshots = await this.sendMessage('list-snapshots');
+    snapshots.forEach(snapshot => {
+      const option = document.createElement('option');
+      option.value = snapshot.id;
+      option.textContent = `Before: ${snapshot.action} - ${new Date(snapshot.timestamp).toLocaleTimeString()}`;
+      select.appendChild(option);
+    });
+    document.getElementById('restoreSnapshotButton').disabled = snapshots.length === 0;
+  }
+
+  async undoLastAction() {
+    try {
+      const result = await this.sendMessage('undo-last-action');
+      this.showMessage(result.success ? 'Last action undone' : result.error, result.success ? 'success' : 'error');
+      await this.loadSnapshots();
+    } catch (error) {
+      this.showMessage('Failed to undo last action', 'error');
+    }
+  }
+
+  async restoreSnapshot() {
+    const snapshotId = document.getElementById('snapshotSelect').value;
+    if (!snapshotId) return;
+
+    try {
+      const result = await this.sendMessage('restore-snapshot', { snapshotId });
+      this.showMessage(result.success ? `Restored ${result.restored} tabs` : result.error, result.success ? 'success' : 'error');
+    } catch (error) {
+      this.showMessage('Failed to restore snapshot', 'error');
     }
   }
 
@@ -252,6 +433,7 @@ class PopupManager {
     try {
       await this.sendMessage('organize-tabs');
       this.showMessage('Tabs organized by cluster!', 'success');
+      await this.loadSnapshots();
     } catch (error) {
       this.showMessage('Failed to organize tabs', 'error');
     }
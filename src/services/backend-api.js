@@ -1,7 +1,9 @@
 class BackendAPIService {
   constructor() {
-    this.baseUrl = 'https://tabs-ai-clustering.vercel.app';
     this.token = null;
+    // Larger analyses go through the job API so no single request hits a serverless timeout
+    this.jobThreshold = 50;
+    this.jobPollMs = 1000;
   }
 
   async setAuthToken(token) {
@@ -23,42 +25,90 @@ class BackendAPIService {
   }
 
   async makeRequest(endpoint, options = {}) {
+    try {
+      const response = await this.fetchResponse(endpoint, options);
+      return await response.json();
+    } catch (error) {
+      console.error(`API request failed: ${endpoint}`, error);
+      throw error;
+    }
+  }
+
+  async fetchResponse(endpoint, options = {}) {
     const token = await this.getAuthToken();
+    const { backendUrl } = await settingsStore.get();
     
     const config = {
       method: 'GET',
+      ...options,
       headers: {
         'Content-Type': 'application/json',
-        ...(token && { 'Authorization': `Bearer ${token}` })
-      },
-      ...options
+        ...(token && { 'Authorization': `Bearer ${token}` }),
+        ...options.headers
+      }
     };
 
     if (options.body && typeof options.body === 'object') {
       config.body = JSON.stringify(options.body);
     }
 
+    const response = await fetch(`${backendUrl}${endpoint}`, config);
+    
+    if (response.status === 401) {
+      // Token expired, clear auth
+      await this.clearAuth();
+      throw new Error('Authentication required');
+    }
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Request failed' }));
+      throw new Error(error.error || `HTTP ${response.status}`);
+    }
+
+    return response;
+  }
+
+  // Server-Sent Events over a POST (EventSource can only GET): calls onEvent(event, data)
+  // for each event and resolves once the server closes the stream
+  async streamRequest(endpoint, options, onEvent) {
     try {
-      const response = await fetch(`${this.baseUrl}${endpoint}`, config);
-      
-      if (response.status === 401) {
-        // Token expired, clear auth
-        await this.clearAuth();
-        throw new Error('Authentication required');
-      }
+      const response = await this.fetchResponse(endpoint, {
+        ...options,
+        headers: { 'Accept': 'text/event-stream' }
+      });
 
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({ error: 'Request failed' }));
-        throw new Error(error.error || `HTTP ${response.status}`);
-      }
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
 
-      return await response.json();
+      for (;;) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+        // Events are separated by a blank line; the last chunk may be incomplete
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? '' : blocks.pop();
+        blocks.forEach(block => this.dispatchEvent(block, onEvent));
+
+        if (done) break;
+      }
     } catch (error) {
-      console.error(`API request failed: ${endpoint}`, error);
+      console.error(`API stream failed: ${endpoint}`, error);
       throw error;
     }
   }
 
+  dispatchEvent(block, onEvent) {
+    let event = 'message';
+    const data = [];
+    block.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      // Lines starting with ':' are keep-alive comments
+    });
+    if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+  }
+
   // Authentication methods
   async register(email, password) {
     const result = await this.makeRequest('/auth/register', {
@@ -94,12 +144,30 @@ class BackendAPIService {
     await this.clearAuth();
   }
 
-  // Main AI analysis method
-  async analyzeTabs(tabs) {
-    const result = await this.makeRequest('/api/analyze', {
+  // Main AI analysis method - previousSummaries are reused as-is and only re-clustered,
+  // constraints carry the user's manual cluster edits from the sidebar
+  // With onProgress the streaming endpoint is used and each finished tab is reported
+  // as { stage: 'summary', current, total, summary }, then { stage: 'clustering' }. Above
+  // jobThreshold tabs an analysis job is used instead and progress arrives per batch
+  async analyzeTabs(tabs, previousSummaries = [], constraints = null, { onProgress = null } = {}) {
+    const request = {
       method: 'POST',
-      body: { tabs }
-    });
+      body: { tabs, previousSummaries, constraints, preferences: await this.getPreferences() }
+    };
+
+    let result;
+    if (tabs.length > this.jobThreshold) {
+      result = await this.runJob(request.body, onProgress);
+    } else if (onProgress) {
+      await this.streamRequest('/api/analyze/stream', request, (event, data) => {
+        if (event === 'result') result = data;
+        else if (event === 'error') throw new Error(data.error || 'Analysis failed');
+        else onProgress({ stage: event, ...data });
+      });
+      if (!result) throw new Error('Analysis stream ended without a result');
+    } else {
+      result = await this.makeRequest('/api/analyze', request);
+    }
 
     // Store results locally for offline access
     await browser.storage.local.set({
@@ -112,6 +180,58 @@ class BackendAPIService {
     return result;
   }
 
+  // Submits an analysis job and polls it to completion. On serverless each status
+  // request also advances the job by one batch, so polling is what drives it there
+  async runJob(body, onProgress = null) {
+    let { job } = await this.makeRequest('/api/jobs', { method: 'POST', body });
+
+    while (job.status === 'queued' || job.status === 'running') {
+      if (onProgress) onProgress({ stage: 'summary', current: job.completed, total: job.total });
+      await new Promise(resolve => setTimeout(resolve, this.jobPollMs));
+      ({ job } = await this.makeRequest(`/api/jobs/${job.id}`));
+    }
+
+    if (job.status !== 'completed') {
+      throw new Error(job.error || `Analysis job ${job.status}`);
+    }
+    return await this.makeRequest(`/api/jobs/${job.id}/results`);
+  }
+
+  // Clustering options from the options page (the rubric is read from the profile)
+  async getPreferences() {
+    const { clusterCount, nestedClusters } = await settingsStore.get();
+    return { minClusters: clusterCount.min, maxClusters: clusterCount.max, subClusters: nestedClusters };
+  }
+
+  // Priority rubric stored in the user profile
+  async getRubric() {
+    return await this.makeRequest('/api/rubric');
+  }
+
+  async saveRubric(rubric) {
+    return await this.makeRequest('/api/rubric', {
+      method: 'PUT',
+      body: { rubric }
+    });
+  }
+
+  async resetRubric() {
+    return await this.makeRequest('/api/rubric', {
+      method: 'DELETE'
+    });
+  }
+
+  // Incremental path: summarize one tab and pick its cluster among the existing ones
+  async classifyTab(tab, clusters) {
+    const result = await this.makeRequest('/api/classify', {
+      method: 'POST',
+      body: { tab, clusters, preferences: await this.getPreferences() }
+    });
+
+    await browser.storage.local.set({ currentUsage: result.usage });
+    return result;
+  }
+
   // Subscription management
   async createSubscription(priceId) {
     return await this.makeRequest('/billing/subscribe', {
@@ -2,6 +2,12 @@ class SidebarManager {
   constructor() {
     this.clusters = [];
     this.tabSummaries = [];
+    this.constraints = { clusters: [], assignments: {} };
+    this.clusterer = new TabClusterer({ minClusters: 2, maxClusters: 2 });
+    this.collapsedSubClusters = new Set(); // "Cluster/Sub-cluster" paths, kept across re-renders
+    this.duplicateGroups = [];
+    this.staleTabs = [];
+    this.staleTabIds = new Map(); // Tab id -> days unused, for the indicators in the cluster list
     this.init();
   }
 
@@ -23,6 +29,45 @@ class SidebarManager {
     if (organizeBtn) {
       organizeBtn.addEventListener('click', () => this.organizeTabs());
     }
+
+    document.getElementById('undoBtn').addEventListener('click', () => this.undoLastAction());
+    document.getElementById('historyBtn').addEventListener('click', () => this.toggleHistorySection());
+    document.getElementById('duplicatesBtn').addEventListener('click', () => this.toggleDuplicatesSection());
+    document.getElementById('keepAllNewestBtn').addEventListener('click', () => {
+      this.resolveDuplicates(this.duplicateGroups.map(group => group.tabs.map(tab => tab.id)), 'keep-newest');
+    });
+    document.getElementById('staleBtn').addEventListener('click', () => this.toggleStaleSection());
+    document.getElementById('staleSelectAll').addEventListener('change', event => {
+      document.querySelectorAll('#staleList input[type="checkbox"]').forEach(box => {
+        box.checked = event.target.checked;
+      });
+    });
+    [
+      ['staleDiscardBtn', 'discard'],
+      ['staleBookmarkBtn', 'bookmark-close'],
+      ['staleSnoozeBtn', 'snooze']
+    ].forEach(([id, action]) => {
+      document.getElementById(id).addEventListener('click', () => this.resolveStaleTabs(action));
+    });
+    document.getElementById('newClusterBtn').addEventListener('click', () => this.createCluster());
+    this.bindStrategySelect();
+  }
+
+  async bindStrategySelect() {
+    const select = document.getElementById('organizeStrategy');
+
+    // Native tab groups need browser support (tabs.group + tabGroups)
+    if (typeof browser.tabs.group !== 'function' || typeof browser.tabGroups === 'undefined') {
+      select.querySelector('option[value="groups"]').disabled = true;
+    }
+
+    select.value = (await settingsStore.get()).organizeStrategy;
+    select.addEventListener('change', () => {
+      settingsStore.update({ organizeStrategy: select.value });
+    });
+    settingsStore.subscribe(settings => {
+      select.value = settings.organizeStrategy;
+    });
   }
 
   listenForUpdates() {
@@ -32,20 +77,48 @@ class SidebarManager {
           this.showProgress('Starting analysis...', 0, message.data.total);
           break;
         case 'extraction-progress':
-          this.showProgress('Extracting content...', message.data.current, message.data.total);
+          this.showProgress(
+            `Extracting content... ${message.data.skipped} skipped, ${message.data.failed} failed`,
+            message.data.current,
+            message.data.total,
+            true
+          );
+          break;
+        case 'extraction-cancelled':
+          this.hideProgress();
+          this.showMessage('Extraction cancelled');
+          break;
+        case 'extraction-complete':
+          if (message.data.problems.length > 0) {
+            console.warn('Tabs analyzed from title only:', message.data.problems);
+          }
           break;
         case 'analysis-progress':
-          this.showProgress('Analyzing tabs...', message.data.current, message.data.total);
+          // Streamed from the backend: one event per summarized tab, then clustering
+          this.showProgress(
+            message.data.stage === 'clustering' ? 'Clustering tabs...' : 'Analyzing tabs...',
+            message.data.current,
+            message.data.total
+          );
           break;
         case 'analysis-complete':
           this.hideProgress();
           this.loadData();
           break;
+        case 'tabs-restored':
+        case 'tab-classified':
+          this.loadData();
+          break;
+        case 'snoozed-tabs-reopened':
+          if (!document.getElementById('staleSection').classList.contains('hidden')) {
+            this.loadStaleTabs();
+          }
+          break;
       }
     });
   }
 
-  showProgress(text, current, total) {
+  showProgress(text, current, total, cancellable = false) {
     let progressEl = document.getElementById('progressIndicator');
     if (!progressEl) {
       progressEl = document.createElement('div');
@@ -58,6 +131,13 @@ class SidebarManager {
       <div class="progress-text">${text} (${current}/${total})</div>
       <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
     `;
+    if (cancellable && current < total) {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'tab-action progress-cancel';
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', () => browser.runtime.sendMessage({ type: 'cancel-extraction' }));
+      progressEl.appendChild(cancelBtn);
+    }
     progressEl.classList.remove('hidden');
   }
 
@@ -72,9 +152,11 @@ class SidebarManager {
     this.showLoading(true);
     
     try {
-      const result = await browser.storage.local.get(['clusters', 'tabSummaries']);
+      const result = await browser.storage.local.get(['clusters', 'tabSummaries', 'clusterConstraints']);
       this.clusters = result.clusters || [];
       this.tabSummaries = result.tabSummaries || [];
+      this.constraints = result.clusterConstraints || { clusters: [], assignments: {} };
+      await this.refreshStaleTabIds();
       
       if (this.clusters.length === 0) {
         this.showEmptyState();
@@ -110,15 +192,17 @@ class SidebarManager {
     this.clusters.forEach((cluster, index) => {
       const clusterDiv = document.createElement('div');
       clusterDiv.className = 'cluster-section';
-      this.createClusterElement(cluster, clusterDiv);
+      this.createClusterElement(cluster, clusterDiv, index);
       container.appendChild(clusterDiv);
     });
 
     this.bindTabEvents();
+    this.bindClusterEvents();
+    this.bindDragEvents();
     document.getElementById('clustersContainer').classList.remove('hidden');
   }
 
-  createClusterElement(cluster, clusterDiv) {
+  createClusterElement(cluster, clusterDiv, index) {
     const clusterTabs = cluster.tabIds.map(tabId => 
       this.tabSummaries.find(tab => tab.id === tabId)
     ).filter(tab => tab);
@@ -126,6 +210,9 @@ class SidebarManager {
     // Create cluster header
     const header = document.createElement('div');
     header.className = 'cluster-header';
+    header.draggable = true;
+    header.dataset.clusterIndex = index;
+    header.title = 'Drag onto another cluster to merge';
     
     const titleRow = document.createElement('div');
     titleRow.className = 'cluster-title-row';
@@ -133,6 +220,8 @@ class SidebarManager {
     const title = document.createElement('div');
     title.className = 'cluster-title';
     title.textContent = cluster.name;
+    title.title = 'Double-click to rename';
+    title.addEventListener('dblclick', () => this.startRename(title, index));
     
     // Show cluster priority badge
     if (cluster.clusterPriority) {
@@ -153,25 +242,138 @@ class SidebarManager {
     const meta = document.createElement('div');
     meta.className = 'cluster-meta';
     meta.textContent = `${clusterTabs.length} tabs`;
+
+    const staleCount = cluster.tabIds.filter(id => this.staleTabIds.has(id)).length;
+    if (staleCount > 0) {
+      const staleBadge = document.createElement('span');
+      staleBadge.className = 'stale-badge';
+      staleBadge.textContent = `💤 ${staleCount} stale`;
+      staleBadge.title = 'Tabs unused for longer than their priority allows; see 💤 Stale';
+      meta.appendChild(staleBadge);
+    }
+    
+    // Bulk actions for the whole cluster
+    const clusterActions = document.createElement('div');
+    clusterActions.className = 'cluster-actions';
+
+    [
+      ['close-cluster', 'Close all'],
+      ['bookmark-cluster', 'Bookmark'],
+      ['move-cluster', 'New window'],
+      ['pin-cluster', 'Pin'],
+      ['mute-cluster', 'Mute'],
+      ['discard-cluster', 'Unload']
+    ].forEach(([type, label]) => {
+      const btn = document.createElement('button');
+      btn.className = 'cluster-action';
+      btn.dataset.type = type;
+      btn.dataset.clusterIndex = index;
+      btn.textContent = label;
+      clusterActions.appendChild(btn);
+    });
+
+    // Manual edits stay in the sidebar and are remembered for the next analysis
+    [
+      ['rename', 'Rename'],
+      ['split', 'Split']
+    ].forEach(([edit, label]) => {
+      const btn = document.createElement('button');
+      btn.className = 'cluster-edit';
+      btn.dataset.edit = edit;
+      btn.dataset.clusterIndex = index;
+      btn.textContent = label;
+      clusterActions.appendChild(btn);
+    });
     
     header.appendChild(titleRow);
     header.appendChild(description);
     header.appendChild(meta);
+    header.appendChild(clusterActions);
     
     // Create tab list - tabs are already sorted by priority within cluster
     const tabList = document.createElement('div');
     tabList.className = 'tab-list';
-    
-    clusterTabs.forEach(tab => {
-      if (tab) {
-        this.createTabElement(tab, tabList);
-      }
-    });
+    this.appendClusterTabs(cluster, tabList, cluster.name);
+
+    if (clusterTabs.length === 0) {
+      const placeholder = document.createElement('div');
+      placeholder.className = 'drop-placeholder';
+      placeholder.textContent = 'Drag tabs here';
+      tabList.appendChild(placeholder);
+    }
     
     clusterDiv.appendChild(header);
     clusterDiv.appendChild(tabList);
   }
 
+  appendClusterTabs(cluster, tabList, path) {
+    // Sub-clusters first, as collapsible sections, then the tabs not in any of them
+    (cluster.subClusters || []).forEach(sub => {
+      const subPath = `${path}/${sub.name}`;
+      const details = document.createElement('details');
+      details.className = 'sub-cluster';
+      details.open = !this.collapsedSubClusters.has(subPath);
+      details.addEventListener('toggle', () => {
+        if (details.open) {
+          this.collapsedSubClusters.delete(subPath);
+        } else {
+          this.collapsedSubClusters.add(subPath);
+        }
+      });
+
+      const summary = document.createElement('summary');
+      summary.className = 'sub-cluster-header';
+      summary.title = sub.description || '';
+      summary.appendChild(document.createTextNode(sub.name));
+
+      const count = document.createElement('span');
+      count.className = 'sub-cluster-count';
+      count.textContent = `${sub.tabIds.length} tabs`;
+      summary.appendChild(count);
+
+      if (sub.clusterPriority) {
+        const priorityBadge = document.createElement('span');
+        priorityBadge.className = `priority-badge priority-${Math.round(sub.clusterPriority)}`;
+        priorityBadge.textContent = `P${sub.clusterPriority.toFixed(1)}`;
+        summary.appendChild(priorityBadge);
+      }
+
+      const subList = document.createElement('div');
+      subList.className = 'tab-list';
+      this.appendClusterTabs(sub, subList, subPath);
+
+      details.appendChild(summary);
+      details.appendChild(subList);
+      tabList.appendChild(details);
+    });
+
+    this.ownTabIds(cluster).forEach(tabId => {
+      const tab = this.tabSummaries.find(t => t.id === tabId);
+      if (tab) this.createTabElement(tab, tabList);
+    });
+  }
+
+  ownTabIds(cluster) {
+    // tabIds lists every tab of a cluster, including those of its sub-clusters
+    const nested = new Set((cluster.subClusters || []).flatMap(sub => sub.tabIds));
+    return cluster.tabIds.filter(id => !nested.has(id));
+  }
+
+  removeTabFromCluster(cluster, tabId) {
+    cluster.tabIds = cluster.tabIds.filter(id => id !== tabId);
+    if (cluster.subClusters) {
+      cluster.subClusters.forEach(sub => this.removeTabFromCluster(sub, tabId));
+      cluster.subClusters = cluster.subClusters.filter(sub => sub.tabIds.length > 0);
+    }
+  }
+
+  describeSubScores(tab) {
+    // Per-criterion scores from the priority rubric, keyed by criterion id
+    return Object.entries(tab.subScores || {})
+      .map(([id, score]) => `${id.replace(/-/g, ' ')}: ${score}`)
+      .join(', ');
+  }
+
   createTabElement(tab, tabList) {
     const domain = new URL(tab.url).hostname;
     const favicon = tab.favIconUrl || `https://www.google.com/s2/favicons?domain=${domain}&sz=16`;
@@ -179,12 +381,15 @@ class SidebarManager {
     const tabDiv = document.createElement('div');
     tabDiv.className = 'tab-item';
     tabDiv.dataset.tabId = tab.id;
+    tabDiv.draggable = true;
     
     // Priority indicator
     const priorityDiv = document.createElement('div');
     priorityDiv.className = `tab-priority priority-${tab.priorityScore || 3}`;
     priorityDiv.textContent = tab.priorityScore || 3;
-    priorityDiv.title = tab.priorityRationale || 'Priority score';
+    priorityDiv.title = [tab.priorityRationale || 'Priority score', this.describeSubScores(tab)]
+      .filter(line => line)
+      .join('\n');
     
     // Tab content wrapper
     const contentDiv = document.createElement('div');
@@ -204,6 +409,15 @@ class SidebarManager {
     
     titleDiv.appendChild(img);
     titleDiv.appendChild(document.createTextNode(tab.title));
+
+    if (this.staleTabIds.has(tab.id)) {
+      tabDiv.classList.add('stale');
+      const staleBadge = document.createElement('span');
+      staleBadge.className = 'stale-badge';
+      staleBadge.textContent = '💤';
+      staleBadge.title = `Unused for ${this.staleTabIds.get(tab.id)} days`;
+      titleDiv.appendChild(staleBadge);
+    }
     
     // Tab URL
     const urlDiv = document.createElement('div');
@@ -250,13 +464,632 @@ class SidebarManager {
 
   async organizeTabs() {
     try {
-      await browser.runtime.sendMessage({ type: 'organize-tabs' });
+      const strategy = document.getElementById('organizeStrategy').value;
+      await browser.runtime.sendMessage({ type: 'organize-tabs', strategy });
       this.showMessage('Tabs organized by cluster!');
     } catch (error) {
       console.error('Failed to organize tabs:', error);
     }
   }
 
+  async undoLastAction() {
+    try {
+      const result = await browser.runtime.sendMessage({ type: 'undo-last-action' });
+      this.showMessage(result.success ? 'Last action undone' : result.error, result.success ? 'success' : 'error');
+    } catch (error) {
+      console.error('Failed to undo last action:', error);
+      this.showMessage(`Undo failed: ${error.message}`, 'error');
+    }
+  }
+
+  async toggleHistorySection() {
+    const section = document.getElementById('historySection');
+    section.classList.toggle('hidden');
+    if (!section.classList.contains('hidden')) {
+      await this.loadSnapshots();
+    }
+  }
+
+  async loadSnapshots() {
+    const list = document.getElementById('snapshotList');
+    list.textContent = '';
+
+    const snapshots = await browser.runtime.sendMessage({ type: 'list-snapshots' });
+    if (snapshots.length === 0) {
+      list.textContent = 'No snapshots yet';
+      return;
+    }
+
+    snapshots.forEach(snapshot => {
+      const item = document.createElement('div');
+      item.className = 'snapshot-item';
+
+      const label = document.createElement('div');
+      label.textContent = `Before: ${snapshot.action} (${snapshot.tabCount} tabs)`;
+      const time = document.createElement('div');
+      time.className = 'snapshot-time';
+      time.textContent = new Date(snapshot.timestamp).toLocaleString();
+      label.appendChild(time);
+
+      const btn = document.createElement('button');
+      btn.className = 'tab-action';
+      btn.textContent = 'Restore';
+      btn.addEventListener('click', () => this.restoreSnapshot(snapshot.id));
+
+      item.appendChild(label);
+      item.appendChild(btn);
+      list.appendChild(item);
+    });
+  }
+
+  async toggleDuplicatesSection() {
+    const section = document.getElementById('duplicatesSection');
+    section.classList.toggle('hidden');
+    if (!section.classList.contains('hidden')) {
+      await this.loadDuplicates();
+    }
+  }
+
+  async loadDuplicates() {
+    const list = document.getElementById('duplicateList');
+    const summary = document.getElementById('duplicatesSummary');
+    list.textContent = '';
+
+    const result = await browser.runtime.sendMessage({ type: 'find-duplicates' });
+    if (result.error) {
+      summary.textContent = result.error;
+      return;
+    }
+
+    this.duplicateGroups = result.groups;
+    const extra = result.groups.reduce((sum, group) => sum + group.tabs.length - 1, 0);
+    summary.textContent = result.groups.length > 0
+      ? `${extra} extra tabs in ${result.groups.length} groups`
+      : 'No duplicate tabs';
+    if (result.contentChecked === 0) {
+      // Content signatures come from the extraction step of an analysis
+      summary.textContent += ' (analyze your tabs to also compare page content)';
+    }
+    document.getElementById('keepAllNewestBtn').disabled = result.groups.length === 0;
+
+    result.groups.forEach(group => list.appendChild(this.createDuplicateGroup(group)));
+  }
+
+  createDuplicateGroup(group) {
+    const groupDiv = document.createElement('div');
+    groupDiv.className = 'duplicate-group';
+
+    const reason = document.createElement('div');
+    reason.className = 'duplicate-reason';
+    reason.textContent = group.reason === 'same-url'
+      ? `${group.tabs.length} copies of the same page`
+      : `${group.tabs.length} tabs with ${Math.round(group.similarity * 100)}% similar content`;
+    groupDiv.appendChild(reason);
+
+    // Listed most recently used first
+    group.tabs.forEach(tab => {
+      const item = document.createElement('div');
+      item.className = 'duplicate-tab';
+      item.title = 'Switch to this tab';
+      item.addEventListener('click', () => this.focusTab(tab.id));
+
+      const title = document.createElement('div');
+      title.textContent = `${tab.pinned ? '📌 ' : ''}${tab.title}`;
+      const url = document.createElement('div');
+      url.className = 'tab-url';
+      url.textContent = tab.url;
+      const time = document.createElement('div');
+      time.className = 'snapshot-time';
+      time.textContent = `Last used ${new Date(tab.lastAccessed).toLocaleString()}`;
+
+      item.appendChild(title);
+      item.appendChild(url);
+      item.appendChild(time);
+      groupDiv.appendChild(item);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'duplicate-actions';
+    [
+      ['keep-newest', 'Keep newest', 'Keep the most recently used tab and close the rest'],
+      ['keep-oldest', 'Keep oldest', 'Keep the least recently used tab and close the rest'],
+      ['merge', 'Merge', 'Keep the most recently used tab in the place of the first copy and close the rest']
+    ].forEach(([strategy, label, hint]) => {
+      const btn = document.createElement('button');
+      btn.className = 'tab-action';
+      btn.textContent = label;
+      btn.title = hint;
+      btn.addEventListener('click', () => this.resolveDuplicates([group.tabs.map(tab => tab.id)], strategy));
+      actions.appendChild(btn);
+    });
+    groupDiv.appendChild(actions);
+
+    return groupDiv;
+  }
+
+  async resolveDuplicates(groups, strategy) {
+    if (groups.length === 0) return;
+
+    try {
+      const result = await browser.runtime.sendMessage({ type: 'resolve-duplicates', groups, strategy });
+      if (result.error) throw new Error(result.error);
+
+      this.showMessage(`Closed ${result.closed} duplicate tabs`);
+      await this.loadDuplicates();
+      await this.loadData();
+    } catch (error) {
+      console.error('Failed to close duplicate tabs:', error);
+      this.showMessage(`Failed to close duplicates: ${error.message}`, 'error');
+    }
+  }
+
+  async refreshStaleTabIds() {
+    try {
+      const result = await browser.runtime.sendMessage({ type: 'find-stale-tabs' });
+      if (result.error) throw new Error(result.error);
+      this.staleTabs = result.tabs;
+      this.staleTabIds = new Map(result.tabs.map(tab => [tab.id, tab.idleDays]));
+      return result;
+    } catch (error) {
+      console.error('Failed to find stale tabs:', error);
+      return null;
+    }
+  }
+
+  async toggleStaleSection() {
+    const section = document.getElementById('staleSection');
+    section.classList.toggle('hidden');
+    if (!section.classList.contains('hidden')) {
+      await this.loadStaleTabs();
+    }
+  }
+
+  async loadStaleTabs() {
+    const list = document.getElementById('staleList');
+    const summary = document.getElementById('staleSummary');
+    list.textContent = '';
+
+    const result = await this.refreshStaleTabIds();
+    if (!result) {
+      summary.textContent = 'Could not check for stale tabs';
+      return;
+    }
+
+    summary.textContent = result.tabs.length > 0
+      ? `${result.tabs.length} of ${result.total} tabs unused for longer than their priority allows`
+      : 'No stale tabs';
+    document.getElementById('staleSelectAll').checked = true;
+    document.querySelectorAll('.stale-actions button').forEach(btn => {
+      btn.disabled = result.tabs.length === 0;
+    });
+
+    // Lowest priority and longest unused first
+    result.tabs.forEach(tab => list.appendChild(this.createStaleTabElement(tab)));
+    this.renderSnoozedTabs(result.snoozed);
+  }
+
+  createStaleTabElement(tab) {
+    const item = document.createElement('div');
+    item.className = 'stale-tab';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.tabId = tab.id;
+
+    const info = document.createElement('div');
+    info.className = 'stale-tab-info';
+    info.title = 'Switch to this tab';
+    info.addEventListener('click', () => this.focusTab(tab.id));
+
+    const title = document.createElement('div');
+    title.textContent = tab.title;
+    const url = document.createElement('div');
+    url.className = 'tab-url';
+    url.textContent = tab.url;
+    const detail = document.createElement('div');
+    detail.className = 'snapshot-time';
+    detail.textContent = [
+      `Priority ${tab.priorityScore}${tab.analyzed ? '' : ' (not analyzed)'}`,
+      `unused for ${tab.idleDays} days`,
+      tab.discarded ? 'unloaded' : ''
+    ].filter(part => part).join(' · ');
+
+    info.appendChild(title);
+    info.appendChild(url);
+    info.appendChild(detail);
+    item.appendChild(checkbox);
+    item.appendChild(info);
+    return item;
+  }
+
+  renderSnoozedTabs(snoozed) {
+    const list = document.getElementById('snoozedList');
+    list.textContent = '';
+    list.classList.toggle('hidden', snoozed.length === 0);
+    if (snoozed.length === 0) return;
+
+    const heading = document.createElement('div');
+    heading.className = 'duplicate-reason';
+    heading.textContent = `Snoozed (${snoozed.length})`;
+    list.appendChild(heading);
+
+    snoozed
+      .slice()
+      .sort((a, b) => a.until - b.until)
+      .forEach(tab => {
+        const item = document.createElement('div');
+        item.className = 'snapshot-item';
+
+        const label = document.createElement('div');
+        label.textContent = tab.title || tab.url;
+        const time = document.createElement('div');
+        time.className = 'snapshot-time';
+        time.textContent = `Back ${new Date(tab.until).toLocaleString()}`;
+        label.appendChild(time);
+
+        const btn = document.createElement('button');
+        btn.className = 'tab-action';
+        btn.textContent = 'Reopen';
+        btn.addEventListener('click', () => this.wakeSnoozedTabs([tab.id]));
+
+        item.appendChild(label);
+        item.appendChild(btn);
+        list.appendChild(item);
+      });
+  }
+
+  async resolveStaleTabs(action) {
+    const tabIds = Array.from(document.querySelectorAll('#staleList input[type="checkbox"]:checked'))
+      .map(box => parseInt(box.dataset.tabId));
+    if (tabIds.length === 0) {
+      this.showMessage('Select some stale tabs first', 'error');
+      return;
+    }
+
+    try {
+      const snoozeDays = parseInt(document.getElementById('snoozeDays').value);
+      const result = await browser.runtime.sendMessage({ type: 'resolve-stale-tabs', tabIds, action, snoozeDays });
+      if (result.error) throw new Error(result.error);
+
+      const done = { discard: 'Unloaded', 'bookmark-close': 'Bookmarked and closed', snooze: 'Snoozed' }[action];
+      this.showMessage(`${done} ${result.count} tabs`, 'success');
+      await this.loadStaleTabs();
+      await this.loadData();
+    } catch (error) {
+      console.error('Failed to act on stale tabs:', error);
+      this.showMessage(error.message, 'error');
+    }
+  }
+
+  async wakeSnoozedTabs(snoozeIds) {
+    try {
+      const result = await browser.runtime.sendMessage({ type: 'wake-snoozed-tabs', snoozeIds });
+      if (result.error) throw new Error(result.error);
+      await this.loadStaleTabs();
+    } catch (error) {
+      console.error('Failed to reopen snoozed tabs:', error);
+      this.showMessage(`Failed to reopen tabs: ${error.message}`, 'error');
+    }
+  }
+
+  async restoreSnapshot(snapshotId) {
+    try {
+      const result = await browser.runtime.sendMessage({ type: 'restore-snapshot', snapshotId });
+      this.showMessage(result.success ? `Restored ${result.restored} tabs (${result.reopened} reopened)` : result.error,
+        result.success ? 'success' : 'error');
+    } catch (error) {
+      console.error('Failed to restore snapshot:', error);
+      this.showMessage(`Restore failed: ${error.message}`, 'error');
+    }
+  }
+
+  bindClusterEvents() {
+    document.querySelectorAll('.cluster-action').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const cluster = this.clusters[parseInt(btn.dataset.clusterIndex)];
+        this.runClusterAction(btn.dataset.type, parseInt(btn.dataset.clusterIndex), cluster.name);
+      });
+    });
+
+    document.querySelectorAll('.cluster-edit').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const index = parseInt(btn.dataset.clusterIndex);
+        if (btn.dataset.edit === 'rename') {
+          const title = btn.closest('.cluster-header').querySelector('.cluster-title');
+          this.startRename(title, index);
+        } else {
+          this.splitCluster(index);
+        }
+      });
+    });
+  }
+
+  bindDragEvents() {
+    document.querySelectorAll('.tab-item').forEach(item => {
+      item.addEventListener('dragstart', (e) => {
+        e.stopPropagation();
+        e.dataTransfer.setData('application/x-tabsai-tab', item.dataset.tabId);
+        e.dataTransfer.effectAllowed = 'move';
+      });
+    });
+
+    document.querySelectorAll('.cluster-header').forEach(header => {
+      header.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('application/x-tabsai-cluster', header.dataset.clusterIndex);
+        e.dataTransfer.effectAllowed = 'move';
+      });
+    });
+
+    document.querySelectorAll('.cluster-section').forEach((section, index) => {
+      const accepts = (e) => e.dataTransfer.types.includes('application/x-tabsai-tab') ||
+        e.dataTransfer.types.includes('application/x-tabsai-cluster');
+
+      section.addEventListener('dragover', (e) => {
+        if (!accepts(e)) return;
+        e.preventDefault();
+        section.classList.add('drag-over');
+      });
+      section.addEventListener('dragleave', (e) => {
+        if (!section.contains(e.relatedTarget)) section.classList.remove('drag-over');
+      });
+      section.addEventListener('drop', (e) => {
+        e.preventDefault();
+        section.classList.remove('drag-over');
+
+        const tabId = e.dataTransfer.getData('application/x-tabsai-tab');
+        const clusterIndex = e.dataTransfer.getData('application/x-tabsai-cluster');
+        if (tabId) {
+          this.moveTabToCluster(parseInt(tabId), index);
+        } else if (clusterIndex !== '') {
+          this.mergeClusters(parseInt(clusterIndex), index);
+        }
+      });
+    });
+  }
+
+  startRename(titleEl, index) {
+    if (titleEl.isContentEditable) return;
+
+    const original = this.clusters[index].name;
+    titleEl.contentEditable = 'true';
+    titleEl.focus();
+    document.getSelection().selectAllChildren(titleEl);
+
+    const finish = (save) => {
+      titleEl.removeEventListener('keydown', onKey);
+      titleEl.removeEventListener('blur', onBlur);
+      titleEl.contentEditable = 'false';
+      const name = titleEl.textContent.trim();
+      if (save && name && name !== original) {
+        this.renameCluster(index, name);
+      } else {
+        titleEl.textContent = original;
+      }
+    };
+    const onKey = (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        titleEl.blur();
+      } else if (e.key === 'Escape') {
+        finish(false);
+      }
+    };
+
+    const onBlur = () => finish(true);
+
+    titleEl.addEventListener('keydown', onKey);
+    titleEl.addEventListener('blur', onBlur);
+  }
+
+  uniqueClusterName(name, exceptIndex = -1) {
+    const taken = new Set(this.clusters.filter((c, i) => i !== exceptIndex).map(c => c.name));
+    let candidate = name;
+    for (let n = 2; taken.has(candidate); n++) {
+      candidate = `${name} (${n})`;
+    }
+    return candidate;
+  }
+
+  rememberCluster(cluster) {
+    const existing = this.constraints.clusters.find(c => c.name === cluster.name);
+    if (existing) {
+      existing.description = cluster.description || '';
+    } else {
+      this.constraints.clusters.push({ name: cluster.name, description: cluster.description || '' });
+    }
+  }
+
+  assignTabs(tabIds, clusterName) {
+    tabIds.forEach(tabId => {
+      const tab = this.tabSummaries.find(t => t.id === tabId);
+      if (tab) this.constraints.assignments[tab.url] = clusterName;
+    });
+  }
+
+  async createCluster() {
+    const cluster = {
+      name: this.uniqueClusterName('New cluster'),
+      description: 'Your cluster',
+      tabIds: []
+    };
+    this.clusters.push(cluster);
+    this.rememberCluster(cluster);
+    await this.saveEdits();
+
+    const titles = document.querySelectorAll('.cluster-title');
+    this.startRename(titles[titles.length - 1], this.clusters.length - 1);
+  }
+
+  async renameCluster(index, newName) {
+    const cluster = this.clusters[index];
+    const oldName = cluster.name;
+    cluster.name = this.uniqueClusterName(newName, index);
+
+    Object.keys(this.constraints.assignments).forEach(url => {
+      if (this.constraints.assignments[url] === oldName) {
+        this.constraints.assignments[url] = cluster.name;
+      }
+    });
+    this.constraints.clusters = this.constraints.clusters.filter(c => c.name !== oldName);
+    this.rememberCluster(cluster);
+    await this.saveEdits();
+  }
+
+  async moveTabToCluster(tabId, targetIndex) {
+    const target = this.clusters[targetIndex];
+    if (!target || target.tabIds.includes(tabId)) return;
+
+    this.clusters.forEach(cluster => this.removeTabFromCluster(cluster, tabId));
+    target.tabIds.push(tabId);
+
+    this.assignTabs([tabId], target.name);
+    this.rememberCluster(target);
+    await this.saveEdits();
+  }
+
+  async mergeClusters(sourceIndex, targetIndex) {
+    if (sourceIndex === targetIndex) return;
+    const source = this.clusters[sourceIndex];
+    const target = this.clusters[targetIndex];
+    if (!source || !target) return;
+
+    target.tabIds = [...target.tabIds, ...source.tabIds.filter(id => !target.tabIds.includes(id))];
+    if (source.subClusters) {
+      target.subClusters = [...(target.subClusters || []), ...source.subClusters];
+    }
+    source.tabIds = [];
+    delete source.subClusters;
+
+    // Pin every tab of the merged cluster so the next analysis keeps them together
+    this.assignTabs(target.tabIds, target.name);
+    this.constraints.clusters = this.constraints.clusters.filter(c => c.name !== source.name);
+    this.rememberCluster(target);
+    await this.saveEdits();
+  }
+
+  async splitCluster(index) {
+    const cluster = this.clusters[index];
+    const tabs = cluster.tabIds
+      .map(id => this.tabSummaries.find(t => t.id === id))
+      .filter(tab => tab);
+    if (tabs.length < 2) {
+      this.showMessage('A cluster needs at least two tabs to split', 'error');
+      return;
+    }
+
+    // A cluster with sub-clusters splits along them; its own tabs keep the cluster's name
+    let parts = cluster.subClusters ? [...cluster.subClusters] : [];
+    if (parts.length > 0) {
+      const ownTabIds = this.ownTabIds(cluster);
+      if (ownTabIds.length > 0) {
+        parts.push({ name: cluster.name, description: cluster.description, tabIds: ownTabIds });
+      }
+    } else {
+      // Offline TF-IDF split into two halves (backend/services/clustering.js)
+      parts = this.clusterer.cluster(tabs).filter(part => part.tabIds.length > 0);
+    }
+    if (parts.length < 2) {
+      const half = Math.ceil(tabs.length / 2);
+      parts = [
+        { name: `${cluster.name} 1`, description: cluster.description, tabIds: tabs.slice(0, half).map(t => t.id) },
+        { name: `${cluster.name} 2`, description: cluster.description, tabIds: tabs.slice(half).map(t => t.id) }
+      ];
+    }
+
+    this.constraints.clusters = this.constraints.clusters.filter(c => c.name !== cluster.name);
+    const newClusters = parts.map(part => ({
+      name: part.name,
+      description: part.description || cluster.description,
+      tabIds: part.tabIds,
+      ...(part.subClusters && { subClusters: part.subClusters })
+    }));
+    this.clusters.splice(index, 1, ...newClusters);
+
+    newClusters.forEach(part => {
+      part.name = this.uniqueClusterName(part.name, this.clusters.indexOf(part));
+      this.assignTabs(part.tabIds, part.name);
+      this.rememberCluster(part);
+    });
+    await this.saveEdits();
+  }
+
+  async saveEdits() {
+    const tabMap = new Map(this.tabSummaries.map(tab => [tab.id, tab]));
+
+    // Keep the user's ordering but refresh tab order and priorities after edits
+    this.clusters = this.clusters.filter(cluster =>
+      cluster.tabIds.length > 0 || this.constraints.clusters.some(c => c.name === cluster.name)
+    );
+    const tidy = cluster => {
+      // Sub-clusters left empty (or alone) by an edit fold back into their parent
+      const subClusters = (cluster.subClusters || []).filter(sub => {
+        tidy(sub);
+        return sub.tabIds.length > 0;
+      });
+      const ownTabIds = subClusters.length > 1 ? this.ownTabIds({ ...cluster, subClusters }) : cluster.tabIds;
+      ownTabIds.sort((a, b) => {
+        const tabA = tabMap.get(a);
+        const tabB = tabMap.get(b);
+        if (!tabA || !tabB) return 0;
+        return (tabA.priorityScore || 3) - (tabB.priorityScore || 3) || tabA.title.localeCompare(tabB.title);
+      });
+
+      if (subClusters.length > 1) {
+        cluster.subClusters = subClusters;
+        cluster.tabIds = [...subClusters.flatMap(sub => sub.tabIds), ...ownTabIds];
+      } else {
+        delete cluster.subClusters;
+        cluster.tabIds = ownTabIds;
+      }
+      const scores = cluster.tabIds.map(id => tabMap.get(id)?.priorityScore || 3);
+      cluster.clusterPriority = scores.length > 0
+        ? Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 10) / 10
+        : 0;
+    };
+    this.clusters.forEach(tidy);
+
+    // Drop corrections for tabs that are gone and clusters that no longer exist
+    const openUrls = new Set(this.tabSummaries.map(tab => tab.url));
+    const names = new Set(this.clusters.map(cluster => cluster.name));
+    Object.keys(this.constraints.assignments).forEach(url => {
+      if (!openUrls.has(url) || !names.has(this.constraints.assignments[url])) {
+        delete this.constraints.assignments[url];
+      }
+    });
+    this.constraints.clusters = this.constraints.clusters.filter(c => names.has(c.name));
+
+    try {
+      await browser.storage.local.set({
+        clusters: this.clusters,
+        clusterConstraints: this.constraints
+      });
+    } catch (error) {
+      console.error('Failed to save cluster edits:', error);
+    }
+
+    if (this.clusters.length === 0) {
+      this.showEmptyState();
+    } else {
+      this.displayClusters();
+    }
+  }
+
+  async runClusterAction(type, clusterIndex, clusterName) {
+    try {
+      const result = await browser.runtime.sendMessage({ type, clusterIndex, clusterName });
+      if (result.error) throw new Error(result.error);
+
+      this.showMessage(`${clusterName}: ${result.tabCount} tabs updated`);
+      if (type === 'close-cluster') {
+        await this.loadData();
+      }
+    } catch (error) {
+      console.error(`Failed to run ${type}:`, error);
+      this.showMessage(`${clusterName}: ${error.message}`, 'error');
+    }
+  }
+
   bindTabEvents() {
     document.querySelectorAll('.tab-item').forEach(item => {
       item.addEventListener('click', (e) => {
@@ -299,11 +1132,12 @@ class SidebarManager {
 
   async closeTab(tabId) {
     try {
-      await browser.tabs.remove(tabId);
+      // Closed through the background so the session is snapshotted for undo
+      const result = await browser.runtime.sendMessage({ type: 'close-tab', tabId });
+      if (result.error) throw new Error(result.error);
+
       this.tabSummaries = this.tabSummaries.filter(tab => tab.id !== tabId);
-      this.clusters.forEach(cluster => {
-        cluster.tabIds = cluster.tabIds.filter(id => id !== tabId);
-      });
+      this.clusters.forEach(cluster => this.removeTabFromCluster(cluster, tabId));
       this.clusters = this.clusters.filter(cluster => cluster.tabIds.length > 0);
       
       await browser.storage.local.set({
@@ -344,21 +1178,7 @@ class SidebarManager {
       });
 
       for (const cluster of this.clusters) {
-        const clusterFolder = await browser.bookmarks.create({
-          title: cluster.name,
-          parentId: bookmarkFolder.id
-        });
-
-        for (const tabId of cluster.tabIds) {
-          const tab = this.tabSummaries.find(t => t.id === tabId);
-          if (tab) {
-            await browser.bookmarks.create({
-              title: tab.title,
-              url: tab.url,
-              parentId: clusterFolder.id
-            });
-          }
-        }
+        await this.exportClusterBookmarks(cluster, bookmarkFolder.id);
       }
 
       this.showMessage('Bookmarks exported successfully!');
@@ -367,19 +1187,44 @@ class SidebarManager {
     }
   }
 
+  async exportClusterBookmarks(cluster, parentId) {
+    // Sub-clusters become subfolders, ahead of the cluster's own tabs
+    const clusterFolder = await browser.bookmarks.create({
+      title: cluster.name,
+      parentId
+    });
+
+    for (const sub of cluster.subClusters || []) {
+      await this.exportClusterBookmarks(sub, clusterFolder.id);
+    }
+
+    for (const tabId of this.ownTabIds(cluster)) {
+      const tab = this.tabSummaries.find(t => t.id === tabId);
+      if (tab) {
+        await browser.bookmarks.create({
+          title: tab.title,
+          url: tab.url,
+          parentId: clusterFolder.id
+        });
+      }
+    }
+  }
+
   exportText() {
     let text = `TabsAI Clusters - ${new Date().toLocaleDateString()}\n`;
     text += `Sorted by Priority Score (1=highest) → Cluster → Title\n\n`;
     
-    this.clusters.forEach(cluster => {
-      text += `## ${cluster.name}`;
+    const describeCluster = (cluster, level) => {
+      text += `${'#'.repeat(level)} ${cluster.name}`;
       if (cluster.clusterPriority) {
         text += ` [Avg Priority: ${cluster.clusterPriority.toFixed(1)}]`;
       }
       text += '\n';
       text += `${cluster.description}\n\n`;
+
+      (cluster.subClusters || []).forEach(sub => describeCluster(sub, level + 1));
       
-      cluster.tabIds.forEach(tabId => {
+      this.ownTabIds(cluster).forEach(tabId => {
         const tab = this.tabSummaries.find(t => t.id === tabId);
         if (tab) {
           text += `[P${tab.priorityScore || 3}] ${tab.title}\n`;
@@ -390,11 +1235,15 @@ class SidebarManager {
           if (tab.priorityRationale) {
             text += `  Priority: ${tab.priorityRationale}\n`;
           }
+          if (this.describeSubScores(tab)) {
+            text += `  Sub-scores: ${this.describeSubScores(tab)}\n`;
+          }
           text += '\n';
         }
       });
       text += '\n';
-    });
+    };
+    this.clusters.forEach(cluster => describeCluster(cluster, 2));
 
     this.downloadFile('tabs-clusters.txt', text, 'text/plain');
   }
@@ -419,9 +1268,13 @@ class SidebarManager {
     URL.revokeObjectURL(url);
   }
 
-  showMessage(text) {
-    // Simple message - could be enhanced with proper toast notifications
-    console.log(text);
+  showMessage(text, type = 'info') {
+    // One status line under the controls; a newer message replaces the current one
+    const el = document.getElementById('statusMessage');
+    el.textContent = text;
+    el.className = `status-message ${type}`;
+    clearTimeout(this.messageTimer);
+    this.messageTimer = setTimeout(() => el.classList.add('hidden'), type === 'error' ? 8000 : 4000);
   }
 }
 
@@ -1,121 +1,210 @@
+// Client-side pipeline for direct mode: the user's own API key for Groq (or any
+// OpenAI-compatible endpoint, including a local server that needs no key) replaces
+// the backend account. analyzeTabs returns the same { summaries, clusters } shape
+// as /api/analyze so TabManager.storeResults treats both the same way.
 class GroqAIService {
   constructor() {
-    this.baseUrl = 'https://api.groq.com/openai/v1';
-    this.model = 'llama-3.1-70b-versatile';
-    this.apiKey = null;
+    this.concurrency = 3; // Personal keys have low rate limits
+    this.maxClusterDepth = 2; // Same nesting limits as GroqService on the backend
+    this.subClusterMinTabs = 12;
+    this.localClusterer = new TabClusterer();
+    this.rubric = new PriorityRubric();
   }
 
   async setApiKey(key) {
-    this.apiKey = key;
-    await browser.storage.local.set({ groqApiKey: key });
+    await browser.storage.local.set({ groqApiKey: key || null });
   }
 
   async getApiKey() {
-    if (!this.apiKey) {
-      const result = await browser.storage.local.get('groqApiKey');
-      this.apiKey = result.groqApiKey;
+    // Read every time: the key is edited on the options page, outside this context
+    const result = await browser.storage.local.get('groqApiKey');
+    return result.groqApiKey || null;
+  }
+
+  async getConfig() {
+    const { direct } = await settingsStore.get();
+    return { ...direct, apiKey: await this.getApiKey() };
+  }
+
+  isLocalServer(baseUrl) {
+    try {
+      return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(baseUrl).hostname);
+    } catch (error) {
+      return false;
     }
-    return this.apiKey;
   }
 
-  async analyzeAndPrioritizeTab(tabData) {
-    const apiKey = await this.getApiKey();
-    if (!apiKey) {
-      throw new Error('Groq API key not configured');
+  async isConfigured() {
+    const config = await this.getConfig();
+    return !!config.apiKey || this.isLocalServer(config.baseUrl);
+  }
+
+  async request(path, config, options = {}) {
+    const response = await fetch(`${config.baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.apiKey && { 'Authorization': `Bearer ${config.apiKey}` })
+      }
+    });
+
+    if (!response.ok) {
+      const error = new Error(response.status === 401 || response.status === 403
+        ? 'API key rejected by the provider'
+        : `AI provider error: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  }
+
+  async complete(config, prompt, maxTokens, temperature) {
+    const data = await this.request('/chat/completions', config, {
+      method: 'POST',
+      body: JSON.stringify({
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        temperature
+      })
+    });
+    return data.choices[0].message.content.trim();
+  }
+
+  async testConnection() {
+    // Cheap check that needs no tokens: OpenAI-compatible servers list their models
+    const config = await this.getConfig();
+    const data = await this.request('/models', config);
+    const models = (data.data || []).map(model => model.id);
+    return { models, hasModel: models.length === 0 || models.includes(config.model) };
+  }
+
+  async analyzeTabs(tabs, previousSummaries = [], { clusterCount, nestedClusters = true, rubric } = {}) {
+    const config = await this.getConfig();
+    const resolved = this.rubric.resolve(rubric);
+    const summaries = [];
+
+    // Same steps as GroqService on the backend: score new/changed tabs, merge with
+    // the unchanged summaries, then cluster everything
+    for (let i = 0; i < tabs.length; i += this.concurrency) {
+      const batch = await Promise.all(tabs.slice(i, i + this.concurrency).map(tab =>
+        this.analyzeAndPrioritizeTab(tab, config, resolved).catch(error => {
+          // A rejected key fails every tab the same way, so stop instead of returning defaults
+          if (error.status === 401 || error.status === 403) throw error;
+          console.error('Direct analysis failed for tab:', tab.url, error);
+          return { id: tab.id, title: tab.title, url: tab.url, error: error.message };
+        })
+      ));
+      summaries.push(...batch);
     }
 
+    const analyzedIds = new Set(summaries.map(s => s.id));
+    const merged = [
+      ...summaries.filter(s => !s.error),
+      ...previousSummaries.filter(s => !analyzedIds.has(s.id))
+    ];
+    const clusters = await this.clusterAndSortTabs(merged, config, clusterCount, nestedClusters);
+
+    return {
+      summaries: merged,
+      clusters,
+      processed: summaries.length,
+      reused: merged.length - summaries.filter(s => !s.error).length,
+      errors: summaries.filter(s => s.error).length
+    };
+  }
+
+  async analyzeAndPrioritizeTab(tabData, config, rubric = this.rubric.defaults()) {
     const prompt = `Analyze this web page and provide:
 1. A concise summary (2-3 sentences)
-2. A Priority Score (1-5, where 1 = highest priority) based on:
-   
-   Learning Value Factors:
-   - Depth of content (comprehensive vs superficial)
-   - Uniqueness of knowledge (rare insights vs common info)
-   - Longevity (evergreen vs ephemeral content)
-   - Technical rigor (well-researched vs casual)
-   
-   Utility Value Factors:
-   - Practical applicability (can be applied immediately)
-   - Reusability (code, frameworks, APIs, papers, templates)
-   - Actionability (clear next steps vs passive reading)
-   - Educational value (teaches skills vs entertains)
-
+${this.rubric.describe(rubric)}
 3. A brief rationale for the priority score (1-2 sentences)
 
 Web Page Details:
 Title: ${tabData.title}
 URL: ${tabData.url}
 Meta Description: ${tabData.metaDescription || 'N/A'}
-Main Headings: ${tabData.headings?.join(', ') || 'N/A'}
-Content Preview: ${tabData.textContent?.slice(0, 1500) || 'N/A'}
+${this.describePageMetadata(tabData)}Main Headings: ${tabData.headings?.join(', ') || 'N/A'}
+Main Content: ${tabData.textContent?.slice(0, 2500) || 'N/A'}
 
 Return ONLY valid JSON in this exact format:
-{
-  "summary": "...",
-  "priorityScore": 1-5,
-  "priorityRationale": "...",
-  "topics": ["topic1", "topic2", "topic3"]
-}`;
+${this.rubric.responseFormat(rubric)}`;
 
-    try {
-      const response = await fetch(`${this.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: this.model,
-          messages: [{ role: 'user', content: prompt }],
-          max_tokens: 300,
-          temperature: 0.3
-        })
-      });
+    const content = await this.complete(config, prompt, 300, 0.3);
+    const base = { id: tabData.id, title: tabData.title, url: tabData.url };
 
-      if (!response.ok) {
-        throw new Error(`Groq API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const content = data.choices[0].message.content.trim();
-      
+    try {
       // Extract JSON from response
       const jsonMatch = content.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
         const parsed = JSON.parse(jsonMatch[0]);
         return {
+          ...base,
           summary: parsed.summary || `${tabData.title}`,
-          priorityScore: Math.min(5, Math.max(1, parseInt(parsed.priorityScore) || 3)),
+          ...this.rubric.score(parsed, rubric),
           priorityRationale: parsed.priorityRationale || 'Standard content',
           topics: parsed.topics || this.extractBasicTopics(tabData)
         };
       }
-      throw new Error('Invalid JSON response');
     } catch (error) {
-      console.error('Groq API error:', error);
-      return {
-        summary: `${tabData.title} - ${tabData.metaDescription || 'Web page content'}`,
-        priorityScore: 3,
-        priorityRationale: 'Unable to analyze - default priority assigned',
-        topics: this.extractBasicTopics(tabData)
-      };
+      console.error('Failed to parse priority response:', error);
+    }
+
+    return {
+      ...base,
+      summary: `${tabData.title} - ${tabData.metaDescription || 'Web page content'}`,
+      ...this.rubric.score({}, rubric),
+      priorityRationale: 'Unable to analyze - default priority assigned',
+      topics: this.extractBasicTopics(tabData)
+    };
+  }
+
+  describePageMetadata(tabData) {
+    // Structured fields from src/content/extractor.js and SiteExtractors
+    const metadata = tabData.metadata || {};
+    const lines = [
+      ['Site', metadata.siteName],
+      ['Content Type', metadata.type],
+      ['Author', metadata.author],
+      ['Published', metadata.publishedTime],
+      ['Keywords', metadata.keywords],
+      ['Stats', metadata.stats],
+      ['Duration', metadata.durationMinutes ? `${metadata.durationMinutes} min` : ''],
+      ['Length', tabData.wordCount ? `${tabData.wordCount} words (~${tabData.readingTimeMinutes || 1} min read)` : '']
+    ]
+      .filter(([, value]) => value)
+      .map(([label, value]) => `${label}: ${String(value).slice(0, 200)}`);
+
+    if (Array.isArray(tabData.codeBlocks) && tabData.codeBlocks.length > 0) {
+      const samples = tabData.codeBlocks.slice(0, 3)
+        .map(block => `[${block.language || 'code'}] ${String(block.snippet || '').slice(0, 300)}`);
+      lines.push(`Code Samples:\n${samples.join('\n')}`);
     }
+
+    return lines.map(line => `${line}\n`).join('');
   }
 
-  async clusterAndSortTabs(tabSummaries) {
-    const apiKey = await this.getApiKey();
-    if (!apiKey || tabSummaries.length < 2) {
-      return this.fallbackClustering(tabSummaries);
+  async clusterAndSortTabs(tabSummaries, config, clusterCount = { min: 2, max: 6 }, nested = true) {
+    if (tabSummaries.length < 2) {
+      return this.fallbackClustering(tabSummaries, clusterCount);
     }
 
+    const range = clusterCount.min === clusterCount.max
+      ? `exactly ${clusterCount.min}`
+      : `${clusterCount.min}-${clusterCount.max}`;
+    const subClusters = nested
+      ? `A cluster with more than ${this.subClusterMinTabs} tabs that spans clearly distinct sub-topics may add
+"subClusters": 2-5 objects with "name", "description" and "tabIds", each of its tabs in exactly one.
+`
+      : '';
     const prompt = `Analyze these web pages and group them into logical clusters.
 Each tab has been analyzed with a priority score (1=highest, 5=lowest).
 
 Tabs to cluster:
 ${tabSummaries.map(tab => `Tab ${tab.id} [Priority: ${tab.priorityScore}]: ${tab.title} - ${tab.summary}`).join('\n')}
 
-Create 2-6 meaningful clusters based on topic similarity.
-Return ONLY valid JSON array:
+Create ${range} meaningful clusters based on topic similarity.
+${subClusters}Return ONLY valid JSON array:
 [
   {
     "name": "Cluster Name",
@@ -125,26 +214,7 @@ Return ONLY valid JSON array:
 ]`;
 
     try {
-      const response = await fetch(`${this.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: this.model,
-          messages: [{ role: 'user', content: prompt }],
-          max_tokens: 600,
-          temperature: 0.2
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Groq API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const content = data.choices[0].message.content.trim();
+      const content = await this.complete(config, prompt, nested ? 1200 : 800, 0.2);
       
       // Extract JSON array from response
       const jsonMatch = content.match(/\[[\s\S]*\]/);
@@ -154,8 +224,8 @@ Return ONLY valid JSON array:
       }
       throw new Error('Invalid JSON response');
     } catch (error) {
-      console.error('Groq clustering error:', error);
-      return this.fallbackClustering(tabSummaries);
+      console.error('Direct clustering error:', error);
+      return this.fallbackClustering(tabSummaries, clusterCount);
     }
   }
 
@@ -164,34 +234,7 @@ Return ONLY valid JSON array:
     
     const tabMap = new Map(tabSummaries.map(tab => [tab.id, tab]));
     const assignedTabIds = new Set();
-    
-    const validClusters = clusters
-      .filter(cluster => cluster.name && cluster.tabIds && Array.isArray(cluster.tabIds))
-      .map(cluster => {
-        // Filter valid tab IDs and remove duplicates
-        cluster.tabIds = cluster.tabIds.filter(id => {
-          const isValid = tabMap.has(id) && !assignedTabIds.has(id);
-          if (isValid) assignedTabIds.add(id);
-          return isValid;
-        });
-        
-        // Sort tabs within cluster by priority score, then by title
-        cluster.tabIds.sort((a, b) => {
-          const tabA = tabMap.get(a);
-          const tabB = tabMap.get(b);
-          if (tabA.priorityScore !== tabB.priorityScore) {
-            return tabA.priorityScore - tabB.priorityScore;
-          }
-          return tabA.title.localeCompare(tabB.title);
-        });
-        
-        // Add cluster priority (average of tab priorities)
-        const avgPriority = cluster.tabIds.reduce((sum, id) => sum + tabMap.get(id).priorityScore, 0) / cluster.tabIds.length;
-        cluster.clusterPriority = Math.round(avgPriority * 10) / 10;
-        
-        return cluster;
-      })
-      .filter(cluster => cluster.tabIds.length > 0);
+    const validClusters = this.validateClusterLevel(clusters, tabMap, assignedTabIds, 0);
 
     // Handle unassigned tabs
     const unassignedTabs = tabSummaries.filter(tab => !assignedTabIds.has(tab.id));
@@ -212,49 +255,69 @@ Return ONLY valid JSON array:
     return validClusters.sort((a, b) => a.clusterPriority - b.clusterPriority);
   }
 
+  validateClusterLevel(clusters, tabMap, assignedTabIds, depth) {
+    // As on the backend: tabIds lists every tab of the cluster, sub-cluster tabs first
+    const byPriority = (a, b) => {
+      const tabA = tabMap.get(a);
+      const tabB = tabMap.get(b);
+      if (tabA.priorityScore !== tabB.priorityScore) {
+        return tabA.priorityScore - tabB.priorityScore;
+      }
+      return tabA.title.localeCompare(tabB.title);
+    };
+
+    const validated = clusters
+      .filter(cluster => cluster && cluster.name &&
+        (Array.isArray(cluster.tabIds) || Array.isArray(cluster.subClusters)))
+      .map(cluster => {
+        let subClusters = depth < this.maxClusterDepth && Array.isArray(cluster.subClusters)
+          ? this.validateClusterLevel(cluster.subClusters, tabMap, assignedTabIds, depth + 1)
+          : [];
+
+        // Filter valid tab IDs and remove duplicates
+        let ownTabIds = (Array.isArray(cluster.tabIds) ? cluster.tabIds : []).filter(id => {
+          const isValid = tabMap.has(id) && !assignedTabIds.has(id);
+          if (isValid) assignedTabIds.add(id);
+          return isValid;
+        });
+
+        if (subClusters.length === 1) {
+          ownTabIds = [...subClusters[0].tabIds, ...ownTabIds];
+          subClusters = [];
+        }
+        ownTabIds.sort(byPriority);
+
+        const tabIds = [...subClusters.flatMap(sub => sub.tabIds), ...ownTabIds];
+        const result = {
+          ...cluster,
+          name: String(cluster.name),
+          tabIds,
+          // Add cluster priority (average of tab priorities)
+          clusterPriority: tabIds.length > 0
+            ? Math.round(tabIds.reduce((sum, id) => sum + tabMap.get(id).priorityScore, 0) / tabIds.length * 10) / 10
+            : 0
+        };
+        delete result.subClusters;
+        if (subClusters.length > 0) result.subClusters = subClusters;
+        return result;
+      })
+      .filter(cluster => cluster.tabIds.length > 0);
+
+    return depth > 0 ? validated.sort((a, b) => a.clusterPriority - b.clusterPriority) : validated;
+  }
+
   extractBasicTopics(tabData) {
     const text = `${tabData.title} ${tabData.metaDescription || ''} ${tabData.headings?.join(' ') || ''}`.toLowerCase();
     const domains = ['technology', 'programming', 'business', 'science', 'news', 'education', 'documentation', 'tutorial', 'api', 'framework'];
     return domains.filter(domain => text.includes(domain)).slice(0, 3);
   }
 
-  fallbackClustering(tabSummaries) {
-    const clusters = new Map();
-    
-    tabSummaries.forEach(tab => {
-      try {
-        const domain = new URL(tab.url).hostname.replace('www.', '');
-        const clusterKey = domain.split('.')[0];
-        
-        if (!clusters.has(clusterKey)) {
-          clusters.set(clusterKey, {
-            name: clusterKey.charAt(0).toUpperCase() + clusterKey.slice(1),
-            description: `Pages from ${domain}`,
-            tabIds: [],
-            clusterPriority: 0
-          });
-        }
-        clusters.get(clusterKey).tabIds.push(tab.id);
-      } catch (e) {
-        // Invalid URL, skip
-      }
-    });
-
-    // Sort tabs within each cluster and calculate cluster priority
-    const tabMap = new Map(tabSummaries.map(tab => [tab.id, tab]));
-    const result = Array.from(clusters.values())
-      .filter(cluster => cluster.tabIds.length > 0)
-      .map(cluster => {
-        cluster.tabIds.sort((a, b) => {
-          const tabA = tabMap.get(a);
-          const tabB = tabMap.get(b);
-          return (tabA?.priorityScore || 3) - (tabB?.priorityScore || 3);
-        });
-        cluster.clusterPriority = cluster.tabIds.reduce((sum, id) => sum + (tabMap.get(id)?.priorityScore || 3), 0) / cluster.tabIds.length;
-        return cluster;
-      });
-
-    return result.sort((a, b) => a.clusterPriority - b.clusterPriority);
+  fallbackClustering(tabSummaries, clusterCount = null) {
+    // Offline TF-IDF clustering (backend/services/clustering.js must be loaded first)
+    const clusterer = clusterCount
+      ? new TabClusterer({ minClusters: clusterCount.min, maxClusters: clusterCount.max })
+      : this.localClusterer;
+    return this.validateAndSortClusters(clusterer.cluster(tabSummaries), tabSummaries);
   }
 }
 
@@ -0,0 +1,210 @@
+// Opt-in automatic re-analysis for the background page. Tab events are debounced
+// into one incremental run (only new/changed tabs hit the backend), backend runs
+// stay within an hourly budget derived from the plan's usageLimit, and an optional
+// browser.alarms schedule re-analyzes periodically.
+class AutoAnalyzer {
+  constructor(tabManager) {
+    this.tabManager = tabManager;
+    this.debounceAlarm = 'auto-analysis-debounce';
+    this.scheduleAlarm = 'auto-analysis-schedule';
+    this.defaults = {
+      enabled: false,
+      debounceSeconds: 30,
+      maxWaitSeconds: 300,
+      scheduleMinutes: 0,
+      classifyNewTabs: false
+    };
+    this.maxRunsPerHour = 12;
+    this.classificationsPerUnit = 10; // Backend default, until a response reports the plan's value
+    this.isRunning = false;
+  }
+
+  async getSettings() {
+    const { autoAnalysis } = await browser.storage.local.get('autoAnalysis');
+    return { ...this.defaults, ...autoAnalysis };
+  }
+
+  async updateSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    await browser.storage.local.set({ autoAnalysis: settings });
+    await this.applySchedule(settings);
+    return settings;
+  }
+
+  async getState() {
+    const { autoAnalysisState } = await browser.storage.local.get('autoAnalysisState');
+    return { pendingSince: null, runs: [], classifications: [], lastRun: null, ...autoAnalysisState };
+  }
+
+  async saveState(state) {
+    await browser.storage.local.set({ autoAnalysisState: state });
+  }
+
+  async applySchedule(settings) {
+    await browser.alarms.clear(this.scheduleAlarm);
+    if (!settings.enabled) {
+      await browser.alarms.clear(this.debounceAlarm);
+      return;
+    }
+    if (settings.scheduleMinutes > 0) {
+      browser.alarms.create(this.scheduleAlarm, { periodInMinutes: settings.scheduleMinutes });
+    }
+  }
+
+  async onTabEvent() {
+    const settings = await this.getSettings();
+    if (!settings.enabled) return;
+
+    const state = await this.getState();
+    const now = Date.now();
+    if (!state.pendingSince) {
+      state.pendingSince = now;
+      await this.saveState(state);
+    }
+
+    // Re-creating a named alarm replaces it, so every event pushes the run back,
+    // but never further than maxWaitSeconds after the first pending event
+    const when = Math.min(
+      now + settings.debounceSeconds * 1000,
+      state.pendingSince + settings.maxWaitSeconds * 1000
+    );
+    browser.alarms.create(this.debounceAlarm, { when });
+  }
+
+  async onTabLoaded(tabId) {
+    const settings = await this.getSettings();
+    if (settings.classifyNewTabs) {
+      await this.classifyTab(tabId);
+    }
+    await this.onTabEvent();
+  }
+
+  classifyTab(tabId) {
+    // In the tab manager's classification queue, so each budget check sees the
+    // classifications recorded before it
+    return this.tabManager.queueClassification(() => this.classifyQueued(tabId));
+  }
+
+  async classifyQueued(tabId) {
+    // New tabs go straight into an existing cluster, at a fraction of a run's hourly budget
+    const { analysisMode } = await settingsStore.get();
+    if (analysisMode !== 'backend' || !(await backendAPI.getAuthToken())) return;
+
+    const usage = await this.getUsage();
+    if (this.usedBudget(this.pruneState(await this.getState()), usage) >= this.hourlyBudget(usage)) return;
+
+    try {
+      const result = await this.tabManager.classifyOne(tabId);
+      if (result.success) {
+        // Re-read: run() and onTabEvent() may have saved the state during the request
+        const current = this.pruneState(await this.getState());
+        current.classifications.push(Date.now());
+        await this.saveState(current);
+      }
+    } catch (error) {
+      console.error('Failed to classify new tab:', error);
+    }
+  }
+
+  async onAlarm(alarm) {
+    if (alarm.name === this.debounceAlarm) {
+      await this.run('tab-events');
+    } else if (alarm.name === this.scheduleAlarm) {
+      await this.run('schedule');
+    }
+  }
+
+  hourlyBudget(usage) {
+    // Spread the monthly allowance over ~8 active hours a day, never past what is left
+    if (!usage || usage.limit === -1) return this.maxRunsPerHour;
+
+    const remaining = Math.max(0, usage.limit - usage.current);
+    const perHour = Math.max(1, Math.ceil(usage.limit / (30 * 8)));
+    return Math.min(remaining, perHour, this.maxRunsPerHour);
+  }
+
+  pruneState(state) {
+    const hourAgo = Date.now() - 60 * 60 * 1000;
+    state.runs = state.runs.filter(timestamp => timestamp > hourAgo);
+    state.classifications = state.classifications.filter(timestamp => timestamp > hourAgo);
+    return state;
+  }
+
+  usedBudget(state, usage) {
+    // A classification weighs what the backend bills for it: a fraction of a usage unit
+    const perUnit = usage?.classificationsPerUnit || this.classificationsPerUnit;
+    return state.runs.length + state.classifications.length / perUnit;
+  }
+
+  async getUsage() {
+    const { currentUsage, userProfile } = await browser.storage.local.get(['currentUsage', 'userProfile']);
+    if (currentUsage) return currentUsage;
+    if (userProfile) return { current: userProfile.usageThisMonth || 0, limit: userProfile.usageLimit || 25 };
+    return null;
+  }
+
+  async run(trigger) {
+    const settings = await this.getSettings();
+    const state = await this.getState();
+    state.pendingSince = null;
+
+    if (!settings.enabled || this.isRunning) {
+      await this.saveState(state);
+      return { skipped: true, reason: this.isRunning ? 'already running' : 'disabled' };
+    }
+
+    this.isRunning = true;
+    let status;
+    try {
+      status = await this.analyze(state);
+    } catch (error) {
+      console.error('Auto-analysis failed:', error);
+      status = `error: ${error.message}`;
+    } finally {
+      this.isRunning = false;
+    }
+
+    // Keep classifications recorded while the analysis was in flight
+    state.classifications = (await this.getState()).classifications;
+    state.lastRun = { timestamp: Date.now(), trigger, status };
+    await this.saveState(state);
+    return state.lastRun;
+  }
+
+  async analyze(state) {
+    const { analysisMode } = await settingsStore.get();
+    if (analysisMode === 'local') {
+      // Private mode is free and offline, so it has no budget
+      await this.tabManager.analyzeLocally();
+      return 'local';
+    }
+    if (analysisMode === 'direct') {
+      // The user's own key has no plan budget; the provider rate-limits instead
+      const result = await this.tabManager.analyzeDirect();
+      // With nothing to analyze, analyzeDirect() still drops tabs closed since the last run
+      if (result.processed > 0) return `analyzed ${result.processed} tabs directly`;
+      return 'no changes';
+    }
+
+    if (!(await backendAPI.getAuthToken())) return 'skipped: signed out';
+
+    // Check the budget first: extraction injects a content script into every changed tab
+    const usage = await this.getUsage();
+    const budget = this.hourlyBudget(usage);
+    if (this.usedBudget(this.pruneState(state), usage) >= budget) {
+      return `skipped: hourly budget of ${budget} used`;
+    }
+
+    const { changedTabs, previousSummaries, constraints, total } = await this.tabManager.extractChangedTabs();
+    if (total === 0 || changedTabs.length === 0) {
+      // Nothing to summarize; just drop tabs that were closed since the last run
+      await this.tabManager.pruneClosedTabs();
+      return total === 0 ? 'skipped: no tabs' : 'no changes';
+    }
+
+    await this.tabManager.runBackendAnalysis({ changedTabs, previousSummaries, constraints });
+
+    state.runs.push(Date.now());
+    return `analyzed ${changedTabs.length} tabs`;
+  }
+}
@@ -0,0 +1,189 @@
+// Finds tabs showing the same page. Exact duplicates share a normalized URL (no tracking
+// parameters, fragments, trailing slashes, www/mobile/AMP variants); near-duplicates have
+// almost the same extracted text, compared through MinHash signatures of word shingles.
+// Signatures are small enough to keep in storage, so content checks work without re-reading pages.
+class DuplicateDetector {
+  constructor(options = {}) {
+    this.similarityThreshold = options.similarityThreshold || 0.8;
+    this.signatureSize = 64;
+    this.shingleSize = 3;
+    this.minWords = 50; // Shorter pages (login walls, error pages) look alike without being duplicates
+    this.maxWords = 2000;
+
+    this.trackingParams = new Set([
+      'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid',
+      'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', '__hstc', '__hssc', '__hsfp',
+      'igshid', 'si', 'ref_src', 'ref_url', 'mkt_tok', 'oly_anon_id', 'oly_enc_id', 'vero_id',
+      'vero_conv', 'wickedid', 's_kwcid', 'spm', 'scid', 'sc_cid', 'ncid', 'cmpid', 'trk',
+      'amp', 'outputtype'
+    ]);
+    this.trackingPrefixes = ['utm_', 'pk_', 'mtm_', 'hsa_'];
+    this.hostPrefixes = /^(www\d*|m|mobile|amp)\./;
+
+    // Seeds for the signature's hash functions, fixed so stored signatures stay comparable
+    this.seeds = Array.from({ length: this.signatureSize }, (_, i) => Math.imul(i + 1, 0x9e3779b1) >>> 0);
+  }
+
+  normalizeUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(this.unwrapAmpCache(url));
+    } catch (error) {
+      return url;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return parsed.href.replace(/#.*$/, '');
+    }
+
+    let host = parsed.hostname.toLowerCase();
+    while (this.hostPrefixes.test(host) && host.split('.').length > 2) {
+      host = host.replace(this.hostPrefixes, '');
+    }
+    if (parsed.port) host += `:${parsed.port}`;
+
+    const path = parsed.pathname
+      .replace(/^\/amp\//, '/')
+      .replace(/\/amp\/?$/, '')
+      .replace(/\.amp(\.html?)$/, '$1')
+      .replace(/\/index\.(html?|php)$/, '/')
+      .replace(/\/+$/, '') || '/';
+
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([key]) => !this.isTrackingParam(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+    // Fragments are anchors except in single-page apps that route with #/ or #!
+    const hash = /^#!?\//.test(parsed.hash) ? parsed.hash : '';
+
+    // http and https count as the same page
+    return `${host}${path}${query}${hash}`;
+  }
+
+  unwrapAmpCache(url) {
+    // google.com/amp/s/example.com/... and *.cdn.ampproject.org/c/s/example.com/...
+    const match = String(url).match(/^https?:\/\/(?:www\.google\.[^/]+\/amp|[^/]+\.cdn\.ampproject\.org\/[cv])\/(s\/)?(.+)$/);
+    return match ? `${match[1] ? 'https' : 'http'}://${match[2]}` : url;
+  }
+
+  isTrackingParam(key) {
+    const name = key.toLowerCase();
+    return this.trackingParams.has(name) || this.trackingPrefixes.some(prefix => name.startsWith(prefix));
+  }
+
+  hash(text) {
+    // FNV-1a (32-bit), as in TabManager.hashContent
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  mix(value, seed) {
+    // Cheap 32-bit finalizer so one shingle hash yields a different value per seed
+    let h = (value ^ seed) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  // MinHash signature of the page text, or null when there is too little text to compare
+  signature(content) {
+    const words = String(content.textContent || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word)
+      .slice(0, this.maxWords);
+    if (words.length < this.minWords) return null;
+
+    // Shingle hashes are built from per-word hashes, so each word is hashed only once
+    const wordHashes = words.map(word => this.hash(word));
+    const shingles = new Set();
+    for (let i = 0; i + this.shingleSize <= words.length; i++) {
+      let shingle = 0;
+      for (let j = 0; j < this.shingleSize; j++) {
+        shingle = this.mix(shingle, wordHashes[i + j]);
+      }
+      shingles.add(shingle);
+    }
+
+    const signature = new Uint32Array(this.signatureSize).fill(0xffffffff);
+    for (const shingle of shingles) {
+      for (let i = 0; i < this.signatureSize; i++) {
+        const value = this.mix(shingle, this.seeds[i]);
+        if (value < signature[i]) signature[i] = value;
+      }
+    }
+    return Array.from(signature);
+  }
+
+  // Estimated Jaccard similarity of the two pages' shingle sets
+  similarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let same = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) same++;
+    }
+    return same / a.length;
+  }
+
+  // tabs: [{ id, url, ... }]; signatures: Map of tab id -> signature.
+  // Returns groups of two or more tabs, each with why they matched
+  findGroups(tabs, signatures = new Map()) {
+    const parent = new Map(tabs.map(tab => [tab.id, tab.id]));
+    const find = id => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+    const union = (a, b) => parent.set(find(a), find(b));
+
+    const byUrl = new Map();
+    tabs.forEach(tab => {
+      const key = this.normalizeUrl(tab.url);
+      if (byUrl.has(key)) {
+        union(tab.id, byUrl.get(key));
+      } else {
+        byUrl.set(key, tab.id);
+      }
+    });
+
+    // Pairwise is fine at a few hundred tabs: each comparison is 64 integer checks
+    const bestSimilarity = new Map();
+    const signed = tabs.filter(tab => signatures.get(tab.id));
+    for (let i = 0; i < signed.length; i++) {
+      for (let j = i + 1; j < signed.length; j++) {
+        const score = this.similarity(signatures.get(signed[i].id), signatures.get(signed[j].id));
+        if (score >= this.similarityThreshold) {
+          union(signed[i].id, signed[j].id);
+          [signed[i].id, signed[j].id].forEach(id => {
+            bestSimilarity.set(id, Math.max(bestSimilarity.get(id) || 0, score));
+          });
+        }
+      }
+    }
+
+    const groups = new Map();
+    tabs.forEach(tab => {
+      const root = find(tab.id);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(tab);
+    });
+
+    return Array.from(groups.values())
+      .filter(members => members.length > 1)
+      .map(members => {
+        const sameUrl = new Set(members.map(tab => this.normalizeUrl(tab.url))).size === 1;
+        const scores = members.map(tab => bestSimilarity.get(tab.id)).filter(score => score);
+        return {
+          reason: sameUrl ? 'same-url' : 'similar-content',
+          similarity: sameUrl ? 1 : Math.round(Math.min(...scores) * 100) / 100,
+          tabs: members
+        };
+      });
+  }
+}
@@ -0,0 +1,145 @@
+// Privacy controls applied in the browser before anything is uploaded: a domain/URL
+// blocklist (or allowlist) deciding which tabs are never read, and redaction of
+// emails, phone numbers, tokens and long numeric IDs in what is sent to the backend.
+// The rules themselves are the `privacy` group of the shared settings (settings.js).
+class PrivacyFilter {
+  constructor() {
+    this.sensitiveParams = /token|key|secret|pass(word)?|auth|session|sig(nature)?|code|email|phone/i;
+    this.rules = [
+      // JSON Web Tokens and well-known API key formats
+      [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[token]'],
+      [/\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}|\bgh[pousr]_[A-Za-z0-9]{20,}|\bxox[abpr]-[A-Za-z0-9-]{10,}|\bAKIA[0-9A-Z]{16}\b|\bAIza[0-9A-Za-z_-]{35}/g, '[token]'],
+      [/\bBearer\s+[A-Za-z0-9._~+/-]+=*/gi, 'Bearer [token]'],
+      // Long mixed letter/digit strings are almost always secrets or session ids
+      [/\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\b/g, '[token]'],
+      [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[email]'],
+      // Account, card and order numbers: 8+ digits, or 3+ groups like "4111 1111 1111" (not dates)
+      [/\b\d{8,}\b|\b\d{3,6}(?:[ -]\d{3,6}){2,}\b/g, '[number]'],
+      [/(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{3,4}[\s.-]\d{3,4}(?:[\s.-]\d{2,4})?/g, match =>
+        (match.match(/\d/g) || []).length >= 7 ? '[phone]' : match]
+    ];
+  }
+
+  async getSettings() {
+    return (await settingsStore.get()).privacy;
+  }
+
+  async saveSettings(changes) {
+    return (await settingsStore.update({ privacy: changes })).privacy;
+  }
+
+  wildcardToRegExp(pattern) {
+    return pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  }
+
+  matches(url, pattern) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    if (pattern.includes('/')) {
+      // URL pattern with * wildcards, scheme optional: "intranet.example.com/hr/*"
+      const scheme = /^[a-z-]+:\/\//.test(pattern) ? '' : '[a-z-]+://';
+      return new RegExp(`^${scheme}${this.wildcardToRegExp(pattern)}`).test(url.toLowerCase());
+    }
+
+    // Domain: "example.com" also covers subdomains; wildcards match the host ("*bank*")
+    const host = parsed.hostname.toLowerCase();
+    if (pattern.includes('*')) {
+      return new RegExp(`^${this.wildcardToRegExp(pattern)}$`).test(host);
+    }
+    return host === pattern || host.endsWith(`.${pattern}`);
+  }
+
+  isBlocked(url, settings) {
+    if (settings.mode === 'allowlist') {
+      return !settings.allowlist.some(pattern => this.matches(url, pattern));
+    }
+    return settings.blocklist.some(pattern => this.matches(url, pattern));
+  }
+
+  redactText(text) {
+    if (typeof text !== 'string' || !text) return text;
+    return this.rules.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+  }
+
+  redactUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return this.redactText(url);
+    }
+
+    const decode = text => {
+      try {
+        return decodeURIComponent(text);
+      } catch (error) {
+        return text;
+      }
+    };
+
+    parsed.pathname = parsed.pathname.split('/').map(segment => this.redactText(decode(segment))).join('/');
+    const params = new URLSearchParams();
+    parsed.searchParams.forEach((value, name) => {
+      params.append(name, this.sensitiveParams.test(name) ? '[redacted]' : this.redactText(value));
+    });
+    parsed.search = params.toString();
+    parsed.hash = this.redactText(decode(parsed.hash.slice(1)));
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString();
+  }
+
+  redactTab(tab, settings) {
+    if (!settings.redact) return tab;
+
+    return {
+      ...tab,
+      title: this.redactText(tab.title),
+      url: this.redactUrl(tab.url),
+      metaDescription: this.redactText(tab.metaDescription),
+      headings: (tab.headings || []).map(heading => this.redactText(heading)),
+      textContent: this.redactText(tab.textContent),
+      codeBlocks: (tab.codeBlocks || []).map(block => ({ ...block, snippet: this.redactText(block.snippet) })),
+      metadata: this.redactMetadata(tab.metadata)
+    };
+  }
+
+  redactMetadata(metadata) {
+    // Author, keywords, site name and stats end up in the prompt too
+    if (!metadata) return metadata;
+
+    const redacted = {};
+    Object.entries(metadata).forEach(([field, value]) => {
+      redacted[field] = Array.isArray(value) ? value.map(item => this.redactText(item)) : this.redactText(value);
+    });
+    return redacted;
+  }
+
+  redactSummary(summary, settings) {
+    if (!settings.redact) return summary;
+
+    return {
+      ...summary,
+      title: this.redactText(summary.title),
+      url: this.redactUrl(summary.url),
+      summary: this.redactText(summary.summary),
+      priorityRationale: this.redactText(summary.priorityRationale)
+    };
+  }
+
+  redactConstraints(constraints, settings) {
+    // Assignments are keyed by URL, so they must use the same redacted URLs as the tabs
+    if (!constraints || !settings.redact) return constraints;
+
+    const assignments = {};
+    Object.entries(constraints.assignments || {}).forEach(([url, name]) => {
+      assignments[this.redactUrl(url)] = name;
+    });
+    return { ...constraints, assignments };
+  }
+}
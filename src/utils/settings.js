@@ -0,0 +1,144 @@
+// Versioned user settings shared by the background page, popup, sidebar and options
+// page. They live in browser.storage.sync under `settings` so they follow the user
+// across devices; every context reads them through settingsStore.get() and reacts to
+// edits made elsewhere through settingsStore.subscribe().
+class SettingsStore {
+  constructor() {
+    this.key = 'settings';
+    this.version = 1; // Bump with a migration in get() when the stored shape changes
+    this.rubric = new PriorityRubric();
+    this.defaults = {
+      version: this.version,
+      backendUrl: typeof API_CONFIG !== 'undefined' ? API_CONFIG.getBaseUrl() : 'https://tabs-ai-clustering.vercel.app',
+      analysisMode: 'backend', // or 'direct': own API key, no account; 'local': TF-IDF in the browser
+      direct: {
+        // Any OpenAI-compatible endpoint; the API key itself stays in storage.local (`groqApiKey`)
+        baseUrl: 'https://api.groq.com/openai/v1',
+        model: 'llama-3.1-70b-versatile'
+      },
+      loadDiscardedTabs: false,
+      organizeStrategy: 'contiguous', // or 'groups', 'windows'
+      clusterCount: { min: 2, max: 6 },
+      nestedClusters: true, // Let big topics split into sub-clusters
+      // Days unused before a tab counts as stale, per priority score (1 = highest); 0 = never
+      staleAfterDays: { 1: 0, 2: 30, 3: 14, 4: 7, 5: 3 },
+      // Copy of the rubric (PriorityRubric, backend/services/rubric.js) used in direct mode; in backend
+      // mode the backend profile is authoritative and the options page mirrors it here.
+      // null means the built-in learning/utility rubric
+      priorityRubric: null,
+      privacy: {
+        mode: 'blocklist', // or 'allowlist': only listed sites are read
+        blocklist: [
+          'mail.google.com',
+          'outlook.live.com',
+          'outlook.office.com',
+          'mail.yahoo.com',
+          'localhost'
+        ],
+        allowlist: [],
+        blockedAction: 'title-only', // or 'exclude': leave the tab out of analysis entirely
+        redact: true
+      }
+    };
+    this.choices = {
+      analysisMode: ['backend', 'direct', 'local'],
+      organizeStrategy: ['contiguous', 'groups', 'windows'],
+      privacyMode: ['blocklist', 'allowlist'],
+      blockedAction: ['title-only', 'exclude']
+    };
+    this.maxClusterCount = 12;
+    this.maxStaleDays = 365;
+  }
+
+  async get() {
+    const stored = (await browser.storage.sync.get(this.key))[this.key];
+    return this.normalize(stored || {});
+  }
+
+  async update(changes) {
+    const current = await this.get();
+    const merged = { ...current, ...changes };
+
+    // Nested groups merge one level deep so callers can change a single field
+    ['direct', 'clusterCount', 'staleAfterDays', 'privacy'].forEach(group => {
+      if (changes[group]) merged[group] = { ...current[group], ...changes[group] };
+    });
+
+    const settings = this.normalize(merged);
+    await browser.storage.sync.set({ [this.key]: settings });
+    return settings;
+  }
+
+  async reset() {
+    const settings = this.normalize({});
+    await browser.storage.sync.set({ [this.key]: settings });
+    return settings;
+  }
+
+  subscribe(callback) {
+    // Fires in every context for edits made in any other one (and in this one)
+    const listener = (changes, area) => {
+      if (area !== 'sync' || !changes[this.key]) return;
+      callback(this.normalize(changes[this.key].newValue || {}), this.normalize(changes[this.key].oldValue || {}));
+    };
+    browser.storage.onChanged.addListener(listener);
+    return () => browser.storage.onChanged.removeListener(listener);
+  }
+
+  normalize(settings) {
+    const d = this.defaults;
+    const pick = (value, choices, fallback) => choices.includes(value) ? value : fallback;
+    const direct = { ...d.direct, ...settings.direct };
+    const count = { ...d.clusterCount, ...settings.clusterCount };
+    const privacy = { ...d.privacy, ...settings.privacy };
+    const stale = { ...d.staleAfterDays, ...settings.staleAfterDays };
+
+    const min = Math.min(this.maxClusterCount, Math.max(1, parseInt(count.min) || d.clusterCount.min));
+    const max = Math.min(this.maxClusterCount, Math.max(min, parseInt(count.max) || d.clusterCount.max));
+
+    return {
+      version: this.version,
+      backendUrl: this.cleanUrl(settings.backendUrl) || d.backendUrl,
+      analysisMode: pick(settings.analysisMode, this.choices.analysisMode, d.analysisMode),
+      direct: {
+        baseUrl: this.cleanUrl(direct.baseUrl) || d.direct.baseUrl,
+        model: String(direct.model || '').trim().slice(0, 100) || d.direct.model
+      },
+      loadDiscardedTabs: !!settings.loadDiscardedTabs,
+      organizeStrategy: pick(settings.organizeStrategy, this.choices.organizeStrategy, d.organizeStrategy),
+      clusterCount: { min, max },
+      nestedClusters: settings.nestedClusters !== false,
+      staleAfterDays: Object.fromEntries(Object.keys(d.staleAfterDays).map(priority => {
+        const days = parseInt(stale[priority]);
+        return [priority, Number.isFinite(days) ? Math.min(this.maxStaleDays, Math.max(0, days)) : d.staleAfterDays[priority]];
+      })),
+      priorityRubric: settings.priorityRubric ? this.rubric.resolve(settings.priorityRubric) : null,
+      privacy: {
+        mode: pick(privacy.mode, this.choices.privacyMode, d.privacy.mode),
+        blocklist: this.cleanList(privacy.blocklist),
+        allowlist: this.cleanList(privacy.allowlist),
+        blockedAction: pick(privacy.blockedAction, this.choices.blockedAction, d.privacy.blockedAction),
+        redact: privacy.redact !== false
+      }
+    };
+  }
+
+  cleanUrl(url) {
+    try {
+      const parsed = new URL(String(url || '').trim());
+      if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+      return parsed.origin + parsed.pathname.replace(/\/+$/, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  cleanList(list) {
+    const lines = (Array.isArray(list) ? list : [])
+      .map(line => String(line).trim().toLowerCase())
+      .filter(line => line);
+    return Array.from(new Set(lines));
+  }
+}
+
+const settingsStore = new SettingsStore();
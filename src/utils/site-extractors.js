@@ -0,0 +1,448 @@
+// Specialized extractors for tabs the generic article script (src/content/extractor.js)
+// can't read well: PDFs, YouTube videos, GitHub repos/issues/PRs and Stack Exchange
+// questions. Each returns the same structured record as extractor.js so these tabs
+// get real summaries and priority scores. Loaded by the background page before background.js.
+class SiteExtractors {
+  constructor() {
+    this.maxText = 4000;
+    this.maxPdfBytes = 15 * 1024 * 1024;
+    this.requestTimeout = 8000;
+
+    // Top-level github.com paths that are not owner names
+    this.githubReserved = new Set([
+      'settings', 'orgs', 'organizations', 'marketplace', 'features', 'topics', 'login', 'logout',
+      'notifications', 'explore', 'sponsors', 'pulls', 'issues', 'search', 'new', 'collections',
+      'trending', 'about', 'pricing', 'enterprise', 'codespaces', 'apps', 'signup', 'join'
+    ]);
+    this.stackExchangeSites = {
+      'stackoverflow.com': 'stackoverflow',
+      'superuser.com': 'superuser',
+      'serverfault.com': 'serverfault',
+      'askubuntu.com': 'askubuntu',
+      'mathoverflow.net': 'mathoverflow.net'
+    };
+  }
+
+  detect(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+
+    const host = parsed.hostname.replace(/^(www|m)\./, '');
+    if (/\.pdf$/i.test(parsed.pathname)) return 'pdf';
+    if (host === 'youtube.com' && (parsed.pathname === '/watch' || parsed.pathname.startsWith('/shorts/'))) return 'youtube';
+    if (host === 'github.com' && this.parseGithubPath(parsed.pathname)) return 'github';
+    if (this.stackExchangeSite(host) && /^\/questions\/\d+/.test(parsed.pathname)) return 'stackexchange';
+    return null;
+  }
+
+  async extract(tab) {
+    // Returns null when no specialized extractor applies or it failed, so the
+    // caller can fall back to the generic content script
+    const kind = this.detect(tab.url);
+    if (!kind) return null;
+
+    try {
+      switch (kind) {
+        case 'pdf':
+          return await this.extractPdf(tab);
+        case 'youtube':
+          return await this.extractYoutube(tab);
+        case 'github':
+          return await this.extractGithub(tab);
+        case 'stackexchange':
+          return await this.extractStackExchange(tab);
+      }
+    } catch (error) {
+      console.warn(`${kind} extraction failed for ${tab.url}:`, error.message);
+    }
+    return null;
+  }
+
+  async isPdf(tab) {
+    // Viewer tabs whose URL doesn't end in .pdf (e.g. /download?id=...). The HEAD request
+    // carries the user's cookies, so only tabs that hint at a PDF are probed
+    if (!/^https?:/.test(tab.url) || !this.mayBePdf(tab)) return false;
+    try {
+      const response = await this.fetchWithTimeout(tab.url, { method: 'HEAD' });
+      return (response.headers.get('content-type') || '').includes('application/pdf');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  mayBePdf(tab) {
+    // "pdf" somewhere in the URL (arxiv.org/pdf/..., ?format=pdf) or a file name as the
+    // title, which the built-in viewer shows for PDFs without a Title
+    return /pdf/i.test(tab.url) || /\.pdf\b/i.test(tab.title || '');
+  }
+
+  record(tab, fields) {
+    const textContent = String(fields.textContent || '').slice(0, this.maxText);
+    const wordCount = textContent ? textContent.split(/\s+/).length : 0;
+
+    return {
+      title: fields.title || tab.title,
+      url: tab.url,
+      metaDescription: fields.metaDescription || '',
+      headings: fields.headings || [],
+      textContent,
+      metadata: fields.metadata || {},
+      codeBlocks: fields.codeBlocks || [],
+      wordCount,
+      readingTimeMinutes: Math.max(1, Math.round(wordCount / 230))
+    };
+  }
+
+  async fetchWithTimeout(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // --- PDF: Info dictionary + text operators from (Flate-compressed) content streams ---
+
+  async extractPdf(tab) {
+    const response = await this.fetchWithTimeout(tab.url);
+    if (Number(response.headers.get('content-length')) > this.maxPdfBytes) {
+      throw new Error('PDF too large');
+    }
+
+    const bytes = await this.readLimited(response, this.maxPdfBytes);
+    // windows-1252 maps every byte to one char, so string offsets equal byte offsets
+    const raw = new TextDecoder('windows-1252').decode(bytes);
+    if (!raw.startsWith('%PDF')) throw new Error('Not a PDF');
+
+    const text = await this.pdfText(raw, bytes);
+    const title = this.pdfInfoString(raw, 'Title');
+    const lines = text.split('\n').map(line => line.trim()).filter(line => line);
+    const pages = (raw.match(/\/Type\s*\/Page\b/g) || []).length;
+
+    return this.record(tab, {
+      title: title || tab.title,
+      metaDescription: this.pdfInfoString(raw, 'Subject'),
+      headings: lines.filter(line => line.length > 3 && line.length < 80).slice(0, 5),
+      textContent: lines.join(' '),
+      metadata: {
+        type: 'pdf',
+        author: this.pdfInfoString(raw, 'Author'),
+        publishedTime: this.pdfDate(this.pdfInfoString(raw, 'CreationDate')),
+        keywords: this.pdfInfoString(raw, 'Keywords'),
+        stats: `${pages} page${pages === 1 ? '' : 's'}`
+      }
+    });
+  }
+
+  async readLimited(response, maxBytes) {
+    // content-length may be missing or wrong, so stop reading once the body passes maxBytes
+    if (!response.body) return new Uint8Array(await response.arrayBuffer());
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      length += value.length;
+      if (length > maxBytes) {
+        reader.cancel().catch(() => {});
+        throw new Error('PDF too large');
+      }
+      chunks.push(value);
+    }
+
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return bytes;
+  }
+
+  async pdfText(raw, bytes) {
+    const parts = [];
+    let length = 0;
+    const streamRe = /stream\r?\n/g;
+    let match;
+
+    while ((match = streamRe.exec(raw)) && length < this.maxText && parts.length < 300) {
+      const start = match.index + match[0].length;
+      const end = raw.indexOf('endstream', start);
+      if (end === -1) break;
+      streamRe.lastIndex = end;
+
+      // The stream dictionary sits between the object header and the "stream" keyword
+      const dict = raw.slice(Math.max(raw.lastIndexOf(' obj', match.index), match.index - 1000), match.index);
+      if (/\/Subtype\s*\/(Image|Form)|\/Type\s*\/(XObject|XRef|ObjStm|Metadata)|\/Length1/.test(dict)) continue;
+
+      let data = null;
+      if (/\/FlateDecode/.test(dict)) {
+        let dataEnd = end;
+        while (dataEnd > start && (raw[dataEnd - 1] === '\n' || raw[dataEnd - 1] === '\r')) dataEnd--;
+        data = await this.inflate(bytes.subarray(start, dataEnd));
+      } else if (!/\/Filter/.test(dict)) {
+        data = raw.slice(start, end);
+      }
+      if (!data || !data.includes('BT')) continue;
+
+      const text = this.pdfTextFromContent(data);
+      if (text) {
+        parts.push(text);
+        length += text.length;
+      }
+    }
+
+    const text = parts.join('\n');
+    // Fonts with custom (CID) encodings decode to noise; better no text than garbage
+    const readable = (text.match(/[\p{L}\p{N}\s.,;:'"()!?-]/gu) || []).length;
+    return text.length > 0 && readable / text.length > 0.85 ? text : '';
+  }
+
+  async inflate(bytes) {
+    try {
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+      const buffer = await new Response(stream).arrayBuffer();
+      return new TextDecoder('windows-1252').decode(buffer);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  pdfTextFromContent(content) {
+    const lines = [];
+    const blockRe = /\bBT\b([\s\S]*?)\bET\b/g;
+    let block;
+
+    while ((block = blockRe.exec(content))) {
+      let line = '';
+      const tokenRe = /\((?:\\[\s\S]|[^\\)])*\)|-?\d*\.?\d+|\bT\*|\bT[dDm]\b|'|"/g;
+      let token;
+      while ((token = tokenRe.exec(block[1]))) {
+        const value = token[0];
+        if (value.startsWith('(')) {
+          line += this.pdfUnescape(value.slice(1, -1));
+        } else if (/^-?\d*\.?\d+$/.test(value)) {
+          // Large negative kerning inside a TJ array is a word gap
+          if (parseFloat(value) < -150 && line && !line.endsWith(' ')) line += ' ';
+        } else {
+          if (line.trim()) lines.push(line.trim());
+          line = '';
+        }
+      }
+      if (line.trim()) lines.push(line.trim());
+    }
+    return lines.join('\n');
+  }
+
+  pdfUnescape(text) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+    return text.replace(/\\(\d{1,3}|[\s\S])/g, (match, code) => {
+      if (/^\d+$/.test(code)) return String.fromCharCode(parseInt(code, 8));
+      if (code === '\n' || code === '\r') return '';
+      return escapes[code] ?? code;
+    });
+  }
+
+  pdfInfoString(raw, key) {
+    const literal = raw.match(new RegExp(`/${key}\\s*\\(((?:\\\\[\\s\\S]|[^\\\\)])*)\\)`));
+    const hex = raw.match(new RegExp(`/${key}\\s*<([0-9A-Fa-f\\s]+)>`));
+    let value = '';
+    if (literal) {
+      value = this.pdfUnescape(literal[1]);
+    } else if (hex) {
+      const digits = hex[1].replace(/\s/g, '');
+      value = digits.match(/../g)?.map(pair => String.fromCharCode(parseInt(pair, 16))).join('') || '';
+    }
+
+    // UTF-16BE strings start with a byte order mark
+    if (value.startsWith('þÿ')) {
+      let decoded = '';
+      for (let i = 2; i + 1 < value.length; i += 2) {
+        decoded += String.fromCharCode((value.charCodeAt(i) << 8) | value.charCodeAt(i + 1));
+      }
+      value = decoded;
+    }
+    return value.replace(/\s+/g, ' ').trim().slice(0, 300);
+  }
+
+  pdfDate(value) {
+    // D:YYYYMMDDHHmmSS...
+    const match = String(value).match(/(\d{4})(\d{2})?(\d{2})?/);
+    if (!match) return '';
+    return [match[1], match[2], match[3]].filter(part => part).join('-');
+  }
+
+  // --- YouTube: content script reads the live player response ---
+
+  async extractYoutube(tab) {
+    const results = await browser.tabs.executeScript(tab.id, { file: '/src/content/youtube.js' });
+    const result = results[0];
+    if (!result || !result.title) throw new Error('No video details found');
+    return result;
+  }
+
+  // --- GitHub: public REST API for repositories, issues and pull requests ---
+
+  parseGithubPath(pathname) {
+    const [owner, repo, section, number] = pathname.split('/').filter(part => part);
+    if (!owner || !repo || this.githubReserved.has(owner.toLowerCase())) return null;
+
+    if ((section === 'issues' || section === 'pull') && /^\d+$/.test(number || '')) {
+      return { owner, repo, kind: section === 'pull' ? 'pull-request' : 'issue', number };
+    }
+    return { owner, repo: repo.replace(/\.git$/, ''), kind: 'repository' };
+  }
+
+  async githubRequest(path, accept = 'application/vnd.github+json') {
+    const response = await this.fetchWithTimeout(`https://api.github.com${path}`, {
+      headers: { Accept: accept },
+      credentials: 'omit'
+    });
+    return accept.endsWith('raw') ? response.text() : response.json();
+  }
+
+  async extractGithub(tab) {
+    const target = this.parseGithubPath(new URL(tab.url).pathname);
+    const repoPath = `/repos/${target.owner}/${target.repo}`;
+
+    if (target.kind === 'repository') {
+      const repo = await this.githubRequest(repoPath);
+      const readme = await this.githubRequest(`${repoPath}/readme`, 'application/vnd.github.raw').catch(() => '');
+
+      return this.record(tab, {
+        title: `${repo.full_name}: ${repo.description || 'GitHub repository'}`,
+        metaDescription: repo.description || '',
+        headings: this.markdownHeadings(readme),
+        textContent: this.markdownText(readme),
+        codeBlocks: this.markdownCodeBlocks(readme),
+        metadata: {
+          siteName: 'GitHub',
+          type: 'repository',
+          author: repo.owner?.login || target.owner,
+          publishedTime: repo.pushed_at || '',
+          keywords: [repo.language, ...(repo.topics || [])].filter(k => k).join(', '),
+          stats: `${repo.stargazers_count} stars · ${repo.forks_count} forks${repo.archived ? ' · archived' : ''}`
+        }
+      });
+    }
+
+    const issue = await this.githubRequest(`${repoPath}/issues/${target.number}`);
+    const body = issue.body || '';
+
+    return this.record(tab, {
+      title: `${issue.title} · ${target.owner}/${target.repo}#${target.number}`,
+      metaDescription: this.markdownText(body).slice(0, 300),
+      headings: this.markdownHeadings(body),
+      textContent: this.markdownText(body),
+      codeBlocks: this.markdownCodeBlocks(body),
+      metadata: {
+        siteName: 'GitHub',
+        type: target.kind,
+        author: issue.user?.login || '',
+        publishedTime: issue.created_at || '',
+        keywords: (issue.labels || []).map(label => label.name).join(', '),
+        stats: `${issue.state} · ${issue.comments} comments`
+      }
+    });
+  }
+
+  markdownHeadings(markdown) {
+    return String(markdown || '').split('\n')
+      .map(line => line.match(/^#{1,3}\s+(.+)/))
+      .filter(match => match)
+      .map(match => match[1].replace(/[*_`#]/g, '').trim())
+      .slice(0, 8);
+  }
+
+  markdownCodeBlocks(markdown) {
+    return Array.from(String(markdown || '').matchAll(/```([\w+#-]*)[^\n]*\n([\s\S]*?)```/g))
+      .slice(0, 3)
+      .map(match => ({ language: match[1], snippet: match[2].trim().slice(0, 300) }));
+  }
+
+  markdownText(markdown) {
+    return String(markdown || '')
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[#>*_`|~-]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // --- Stack Exchange: question plus top answers from the public API ---
+
+  stackExchangeSite(host) {
+    if (this.stackExchangeSites[host]) return this.stackExchangeSites[host];
+    const match = host.match(/^([\w-]+)\.stackexchange\.com$/);
+    return match && match[1] !== 'api' ? match[1] : null;
+  }
+
+  async extractStackExchange(tab) {
+    const url = new URL(tab.url);
+    const site = this.stackExchangeSite(url.hostname.replace(/^(www|m)\./, ''));
+    const questionId = url.pathname.match(/^\/questions\/(\d+)/)[1];
+    const api = 'https://api.stackexchange.com/2.3';
+
+    const questions = await (await this.fetchWithTimeout(
+      `${api}/questions/${questionId}?site=${site}&filter=withbody`, { credentials: 'omit' }
+    )).json();
+    const question = questions.items?.[0];
+    if (!question) throw new Error('Question not found');
+
+    const answers = await (await this.fetchWithTimeout(
+      `${api}/questions/${questionId}/answers?site=${site}&sort=votes&order=desc&pagesize=3&filter=withbody`,
+      { credentials: 'omit' }
+    )).json().catch(() => ({ items: [] }));
+
+    const questionDoc = this.parseHtml(question.body);
+    const answerTexts = (answers.items || []).map(answer => {
+      const label = answer.is_accepted ? 'Accepted answer' : 'Answer';
+      return `${label} (score ${answer.score}): ${this.htmlText(this.parseHtml(answer.body))}`;
+    });
+    const codeBlocks = [questionDoc, ...(answers.items || []).map(answer => this.parseHtml(answer.body))]
+      .flatMap(doc => Array.from(doc.querySelectorAll('pre code')))
+      .slice(0, 3)
+      .map(code => ({
+        language: (code.className.match(/(?:language|lang)-([\w+#-]+)/) || [])[1] || '',
+        snippet: code.textContent.trim().slice(0, 300)
+      }));
+
+    return this.record(tab, {
+      title: this.parseHtml(question.title).body.textContent,
+      metaDescription: this.htmlText(questionDoc).slice(0, 300),
+      headings: (answers.items || []).length > 0 ? ['Question', 'Answers'] : ['Question'],
+      textContent: [`Question: ${this.htmlText(questionDoc)}`, ...answerTexts].join('\n\n'),
+      codeBlocks,
+      metadata: {
+        siteName: site === 'stackoverflow' ? 'Stack Overflow' : `Stack Exchange (${site})`,
+        type: 'question',
+        author: question.owner?.display_name || '',
+        publishedTime: question.creation_date ? new Date(question.creation_date * 1000).toISOString() : '',
+        keywords: (question.tags || []).join(', '),
+        stats: `score ${question.score} · ${question.answer_count} answers${question.accepted_answer_id ? ' · accepted' : ''}`
+      }
+    });
+  }
+
+  parseHtml(html) {
+    // DOMParser never executes scripts or loads resources
+    return new DOMParser().parseFromString(String(html || ''), 'text/html');
+  }
+
+  htmlText(doc) {
+    return (doc.body?.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+}
@@ -0,0 +1,147 @@
+// Flags tabs that have gone unused for longer than their priority allows (settings
+// `staleAfterDays`: days per priority score, 0 = never) and acts on them in bulk:
+// unload, bookmark and close, or snooze. Snoozed tabs are closed and kept in
+// storage.local `snoozedTabs` until a browser.alarms alarm reopens them.
+class StaleTabMonitor {
+  constructor(tabManager) {
+    this.tabManager = tabManager;
+    this.snoozeAlarm = 'snoozed-tabs';
+    this.dayMs = 24 * 60 * 60 * 1000;
+    this.defaultPriority = 3; // Tabs that were never analyzed count as medium priority
+  }
+
+  async findStale() {
+    const { staleAfterDays } = await settingsStore.get();
+    const tabs = (await browser.tabs.query({})).filter(tab => this.tabManager.isAnalyzable(tab));
+    const { tabSummaries = [] } = await browser.storage.local.get('tabSummaries');
+    const summaries = new Map(tabSummaries.map(summary => [summary.id, summary]));
+    const now = Date.now();
+
+    const stale = tabs
+      // Tabs in use right now, pinned or playing sound are never suggested
+      .filter(tab => !tab.active && !tab.pinned && !tab.audible)
+      .map(tab => {
+        // A summary only counts while the tab still shows the page it describes
+        const summary = summaries.get(tab.id);
+        const analyzed = !!summary && summary.url === tab.url;
+        const priority = Math.round(analyzed && summary.priorityScore || this.defaultPriority);
+        return {
+          id: tab.id,
+          title: tab.title,
+          url: tab.url,
+          favIconUrl: tab.favIconUrl,
+          lastAccessed: tab.lastAccessed,
+          discarded: !!tab.discarded,
+          priorityScore: priority,
+          analyzed,
+          idleDays: Math.floor((now - tab.lastAccessed) / this.dayMs),
+          threshold: staleAfterDays[priority] || 0
+        };
+      })
+      .filter(tab => tab.threshold > 0 && tab.idleDays >= tab.threshold)
+      // Lowest priority first, then longest unused
+      .sort((a, b) => b.priorityScore - a.priorityScore || a.lastAccessed - b.lastAccessed);
+
+    return { tabs: stale, total: tabs.length, snoozed: await this.getSnoozed() };
+  }
+
+  async resolve(tabIds, action, snoozeDays) {
+    const openTabs = new Map((await browser.tabs.query({})).map(tab => [tab.id, tab]));
+    const tabs = tabIds.map(id => openTabs.get(id)).filter(tab => tab);
+    if (tabs.length === 0) {
+      return { success: false, error: 'None of these tabs are open any more' };
+    }
+    const ids = tabs.map(tab => tab.id);
+
+    switch (action) {
+      case 'discard': {
+        // The active tab of a window cannot be discarded, so skip those
+        const discardable = tabs.filter(tab => !tab.active && !tab.discarded).map(tab => tab.id);
+        await browser.tabs.discard(discardable);
+        this.tabManager.broadcastUpdate('stale-tabs-resolved', { action, count: discardable.length });
+        return { success: true, count: discardable.length };
+      }
+
+      case 'bookmark-close': {
+        await this.tabManager.recordSnapshot(`Bookmark and close ${ids.length} stale tabs`);
+        const folder = await browser.bookmarks.create({
+          title: `TabsAI - Stale tabs (${new Date().toLocaleDateString()})`
+        });
+        for (const tab of tabs) {
+          await browser.bookmarks.create({ title: tab.title, url: tab.url, parentId: folder.id });
+        }
+        break;
+      }
+
+      case 'snooze': {
+        const days = Math.max(1, parseInt(snoozeDays) || 1);
+        // No snapshot: restoring one would reopen the tabs while they are still snoozed.
+        // Snoozed tabs are reopened early from the sidebar instead
+        const until = Date.now() + days * this.dayMs;
+        const snoozed = await this.getSnoozed();
+        tabs.forEach(tab => snoozed.push({
+          id: `${tab.id}-${Date.now()}`,
+          url: tab.url,
+          title: tab.title,
+          favIconUrl: tab.favIconUrl,
+          until
+        }));
+        await this.saveSnoozed(snoozed);
+        break;
+      }
+
+      default:
+        return { success: false, error: `Unknown stale tab action: ${action}` };
+    }
+
+    await browser.tabs.remove(ids);
+    await this.tabManager.removeTabsFromResults(ids);
+    this.tabManager.broadcastUpdate('stale-tabs-resolved', { action, count: ids.length });
+    return { success: true, count: ids.length };
+  }
+
+  async getSnoozed() {
+    const { snoozedTabs = [] } = await browser.storage.local.get('snoozedTabs');
+    return snoozedTabs;
+  }
+
+  async saveSnoozed(snoozedTabs) {
+    await browser.storage.local.set({ snoozedTabs });
+    await this.scheduleWake(snoozedTabs);
+  }
+
+  async scheduleWake(snoozedTabs) {
+    // One alarm for the earliest wake-up; an overdue one fires right away
+    await browser.alarms.clear(this.snoozeAlarm);
+    if (snoozedTabs.length > 0) {
+      browser.alarms.create(this.snoozeAlarm, { when: Math.min(...snoozedTabs.map(tab => tab.until)) });
+    }
+  }
+
+  async wake(snoozeIds = null) {
+    // Reopens the given snoozed tabs, or every one that is due
+    const now = Date.now();
+    const snoozed = await this.getSnoozed();
+    const due = snoozed.filter(tab => snoozeIds ? snoozeIds.includes(tab.id) : tab.until <= now);
+
+    for (const tab of due) {
+      try {
+        await browser.tabs.create({ url: tab.url, active: false });
+      } catch (error) {
+        console.error(`Failed to reopen snoozed tab ${tab.url}:`, error);
+      }
+    }
+
+    await this.saveSnoozed(snoozed.filter(tab => !due.includes(tab)));
+    if (due.length > 0) {
+      this.tabManager.broadcastUpdate('snoozed-tabs-reopened', { count: due.length });
+    }
+    return { success: true, count: due.length };
+  }
+
+  async onAlarm(alarm) {
+    if (alarm.name === this.snoozeAlarm) {
+      await this.wake();
+    }
+  }
+}